@@ -0,0 +1,430 @@
+/**
+ * LinkedIn Data Extractor - IndexedDB Repository
+ *
+ * Backing store for the bulk datasets (connections, posts, comments, captured APIs)
+ * that outgrew chrome.storage.local. Each record is kept in an envelope:
+ *   { key, position, record }
+ * so the original object is returned untouched and the saved order is preserved.
+ */
+
+const DB_NAME = 'linkedin_data_extractor';
+const DB_VERSION = 7;
+
+// Object stores and their indexes (index keyPaths point inside the envelope)
+export const IDB_STORES = {
+  connections: {
+    autoIncrement: false,
+    indexes: {
+      urn: 'record.entityUrn',
+      publicIdentifier: 'record.publicIdentifier',
+      connectedAt: 'record.connectedAt'
+    }
+  },
+  feed_posts: {
+    autoIncrement: false,
+    indexes: {
+      urn: 'record.urn',
+      author: 'record.author.name',
+      postedAt: 'record.postedAt',
+      lastUpdated: 'record.lastUpdated'
+    }
+  },
+  my_posts: {
+    autoIncrement: false,
+    indexes: {
+      urn: 'record.urn',
+      postedAt: 'record.postedAt',
+      lastUpdated: 'record.lastUpdated'
+    }
+  },
+  comments: {
+    autoIncrement: false,
+    indexes: {
+      urn: 'record.urn',
+      author: 'record.author.name',
+      postUrn: 'record.postUrn',
+      createdAt: 'record.createdAt'
+    }
+  },
+  post_analytics: {
+    autoIncrement: false,
+    indexes: {
+      urn: 'record.activityUrn',
+      lastUpdated: 'record.lastUpdated'
+    }
+  },
+  captured_apis: {
+    autoIncrement: true,
+    indexes: {
+      endpoint: 'record.endpoint',
+      capturedAt: 'record.capturedAt'
+    }
+  },
+  // Staging area for a connection sync in progress (checkpointed page by page)
+  connection_sync: {
+    autoIncrement: false,
+    indexes: {}
+  },
+  // URNs of every connection a full sync has seen, including ones it couldn't parse
+  connection_sync_seen: {
+    autoIncrement: false,
+    indexes: {}
+  },
+  // Per-URN company/industry/location lookups, refreshed after a TTL
+  connection_enrichment: {
+    autoIncrement: false,
+    indexes: {
+      fetchedAt: 'record.fetchedAt'
+    }
+  },
+  // Outgoing webhook deliveries, keyed in queue order
+  webhook_queue: {
+    autoIncrement: false,
+    indexes: {}
+  },
+  // Raw capture events recorded in developer mode, replayable as fixtures
+  capture_recordings: {
+    autoIncrement: true,
+    indexes: {
+      recordedAt: 'record.recordedAt'
+    }
+  },
+  // Opt-in HAR 1.2 entries for raw Voyager request/response pairs
+  har_entries: {
+    autoIncrement: true,
+    indexes: {
+      startedDateTime: 'record.startedDateTime'
+    }
+  }
+};
+
+let dbPromise = null;
+
+// ============================================
+// CONNECTION
+// ============================================
+
+/**
+ * Open (and upgrade if needed) the database, reusing one connection per worker
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      Object.entries(IDB_STORES).forEach(([name, config]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath: 'key', autoIncrement: config.autoIncrement });
+
+        Object.entries(config.indexes).forEach(([indexName, keyPath]) => {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath, { unique: false });
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Drop the cached connection if another context upgrades the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Sort envelopes by saved position (appended records fall back to key order)
+ */
+function unwrap(envelopes) {
+  return envelopes
+    .sort((a, b) => (a.position ?? a.key) - (b.position ?? b.key))
+    .map(envelope => envelope.record);
+}
+
+// ============================================
+// READ / WRITE
+// ============================================
+
+/**
+ * Key for a record: keyOf(record), or a position-based fallback so records
+ * without an id (e.g. a post missing its urn) are kept rather than dropped
+ */
+function recordKey(record, keyOf, position) {
+  const key = keyOf ? keyOf(record) : undefined;
+  return key === undefined || key === null || key === '' ? `position:${position}` : key;
+}
+
+function warnSkipped(storeName, skipped) {
+  if (skipped > 0) {
+    console.warn(`[IDBRepository] Skipped ${skipped} non-object record(s) writing ${storeName}`);
+  }
+}
+
+/**
+ * Replace the full contents of a store in a single transaction
+ * keyOf(record) gives the dedup key. Only changed records are rewritten and
+ * records no longer present are deleted; auto-increment stores have no stable
+ * key, so they're cleared and rewritten.
+ * Returns the number of records now in the store for this save.
+ */
+export async function replaceRecords(storeName, records, keyOf) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  const autoIncrement = IDB_STORES[storeName]?.autoIncrement;
+
+  let written = 0;
+  let skipped = 0;
+
+  if (autoIncrement && !keyOf) {
+    store.clear();
+    (records || []).forEach((record, index) => {
+      if (record === null || typeof record !== 'object') {
+        skipped++;
+        return;
+      }
+      store.put({ position: index, record });
+      written++;
+    });
+  } else {
+    const existing = new Map(
+      (await promisify(store.getAll())).map(envelope => [envelope.key, JSON.stringify(envelope)])
+    );
+    const kept = new Set();
+
+    (records || []).forEach((record, index) => {
+      if (record === null || typeof record !== 'object') {
+        skipped++;
+        return;
+      }
+      const envelope = { key: recordKey(record, keyOf, index), position: index, record };
+      if (!kept.has(envelope.key)) written++;
+      kept.add(envelope.key);
+      if (existing.get(envelope.key) !== JSON.stringify(envelope)) {
+        store.put(envelope);
+      }
+    });
+
+    existing.forEach((_, key) => {
+      if (!kept.has(key)) store.delete(key);
+    });
+  }
+
+  await transactionDone(tx);
+  warnSkipped(storeName, skipped);
+  return written;
+}
+
+/**
+ * Insert or overwrite records without clearing the store
+ * Positions continue from startPosition, so re-writing a page after a restart is idempotent.
+ */
+export async function putRecords(storeName, records, keyOf, startPosition = 0) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+
+  let written = 0;
+  let skipped = 0;
+  (records || []).forEach((record, index) => {
+    if (record === null || typeof record !== 'object') {
+      skipped++;
+      return;
+    }
+    const position = startPosition + index;
+    store.put({ key: recordKey(record, keyOf, position), position, record });
+    written++;
+  });
+
+  await transactionDone(tx);
+  warnSkipped(storeName, skipped);
+  return written;
+}
+
+/**
+ * Append one record to an auto-increment store
+ */
+export async function appendRecord(storeName, record) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).add({ record });
+  await transactionDone(tx);
+}
+
+/**
+ * Get every record in a store, in saved order
+ */
+export async function getAllRecords(storeName) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readonly');
+  const envelopes = await promisify(tx.objectStore(storeName).getAll());
+  return unwrap(envelopes);
+}
+
+/**
+ * Query a store through one of its indexes
+ * Pass `value` for an exact match, or `from`/`to` for a range.
+ */
+export async function queryRecords(storeName, indexName, { value, from, to, limit } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readonly');
+  const index = tx.objectStore(storeName).index(indexName);
+
+  let range = null;
+  if (value !== undefined) {
+    range = IDBKeyRange.only(value);
+  } else if (from !== undefined && to !== undefined) {
+    range = IDBKeyRange.bound(from, to);
+  } else if (from !== undefined) {
+    range = IDBKeyRange.lowerBound(from);
+  } else if (to !== undefined) {
+    range = IDBKeyRange.upperBound(to);
+  }
+
+  const envelopes = await promisify(index.getAll(range, limit || undefined));
+  return envelopes.map(envelope => envelope.record);
+}
+
+/**
+ * Count records in a store
+ */
+export async function countRecords(storeName) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readonly');
+  return promisify(tx.objectStore(storeName).count());
+}
+
+/**
+ * Delete the oldest records of an auto-increment store beyond maxCount
+ * Returns the number deleted.
+ */
+export async function trimRecords(storeName, maxCount) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+
+  const excess = (await promisify(store.count())) - maxCount;
+  if (excess > 0) {
+    const oldestKeys = await promisify(store.getAllKeys(null, excess));
+    store.delete(IDBKeyRange.upperBound(oldestKeys[oldestKeys.length - 1]));
+  }
+
+  await transactionDone(tx);
+  return Math.max(excess, 0);
+}
+
+/**
+ * Get the most recently appended record (highest key)
+ */
+export async function getLastRecord(storeName) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readonly');
+  const cursor = await promisify(tx.objectStore(storeName).openCursor(null, 'prev'));
+  return cursor ? cursor.value.record : null;
+}
+
+/**
+ * Get the record with the lowest key
+ */
+export async function getFirstRecord(storeName) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readonly');
+  const cursor = await promisify(tx.objectStore(storeName).openCursor());
+  return cursor ? cursor.value.record : null;
+}
+
+/**
+ * Delete one record by key
+ */
+export async function deleteRecord(storeName, key) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).delete(key);
+  await transactionDone(tx);
+}
+
+/**
+ * Copy the raw contents (keys and positions included) of some stores
+ */
+export async function snapshotStores(storeNames) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, 'readonly');
+  const snapshot = {};
+  for (const name of storeNames) {
+    snapshot[name] = await promisify(tx.objectStore(name).getAll());
+  }
+  return snapshot;
+}
+
+/**
+ * Put stores back exactly as snapshotStores() saw them, in one transaction
+ */
+export async function restoreStores(snapshot) {
+  const db = await openDatabase();
+  const names = Object.keys(snapshot);
+  const tx = db.transaction(names, 'readwrite');
+  names.forEach(name => {
+    const store = tx.objectStore(name);
+    store.clear();
+    snapshot[name].forEach(envelope => store.put(envelope));
+  });
+  await transactionDone(tx);
+}
+
+/**
+ * Empty a single store
+ */
+export async function clearRecords(storeName) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Empty every store
+ */
+export async function clearAllRecords() {
+  const db = await openDatabase();
+  const names = Object.keys(IDB_STORES);
+  const tx = db.transaction(names, 'readwrite');
+  names.forEach(name => tx.objectStore(name).clear());
+  await transactionDone(tx);
+}
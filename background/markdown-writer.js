@@ -0,0 +1,245 @@
+/**
+ * LinkedIn Data Extractor - Markdown Vault Writer
+ *
+ * Turns posts and connections into an Obsidian-style vault: one Markdown
+ * note per post or person, YAML frontmatter for URNs, dates and metrics,
+ * and [[wiki-links]] between authors and their posts.
+ *
+ *   LinkedIn.md      index note
+ *   People/          connections, feed authors and you
+ *   Posts/           your posts
+ *   Feed/            posts captured from the feed
+ */
+
+const MAX_TITLE_LENGTH = 60;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Make text safe for a file name / wiki-link target
+ */
+function toNoteName(text, fallback) {
+  const name = String(text || '')
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[\\/:*?"<>|#^[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TITLE_LENGTH)
+    .trim();
+  return name || fallback;
+}
+
+/**
+ * Epoch ms / ISO string to an ISO timestamp (null when unknown)
+ */
+function toISODate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Render a YAML value - strings as JSON (valid double-quoted YAML), arrays in flow style
+ */
+function toYaml(value) {
+  if (Array.isArray(value)) return `[${value.map(toYaml).join(', ')}]`;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Frontmatter block, skipping empty fields
+ */
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' &&
+      !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${toYaml(value)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Last path segment of a /in/<id> profile URL
+ */
+function publicIdFromUrl(url) {
+  const match = String(url || '').match(/\/in\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Give each note a vault-unique path, suffixing duplicates with (2), (3), ...
+ */
+function createNamer() {
+  const used = new Set();
+  return (folder, name) => {
+    let candidate = name;
+    let suffix = 2;
+    while (used.has(`${folder}/${candidate}`.toLowerCase())) {
+      candidate = `${name} (${suffix++})`;
+    }
+    used.add(`${folder}/${candidate}`.toLowerCase());
+    return `${folder}/${candidate}`;
+  };
+}
+
+/**
+ * Path-qualified wiki-link, so same-named notes in different folders don't clash
+ */
+function wikiLink(path, label = path.split('/').pop()) {
+  return `[[${path}|${label}]]`;
+}
+
+// ============================================
+// VAULT
+// ============================================
+
+/**
+ * Build the vault's files
+ * data: { profile, myPosts, feedPosts, connections }
+ * Returns [{ name, content }] ready for createZip.
+ */
+export function createVaultFiles({ profile = null, myPosts = [], feedPosts = [], connections = [] }) {
+  const nameNote = createNamer();
+  const people = new Map(); // lookup key -> person
+  const peopleList = [];
+
+  const findPerson = (publicIdentifier, name) =>
+    (publicIdentifier && people.get(`id:${publicIdentifier.toLowerCase()}`)) ||
+    (name && people.get(`name:${name.toLowerCase()}`)) ||
+    null;
+
+  const addPerson = person => {
+    person.path = nameNote('People', toNoteName(person.name, person.publicIdentifier || 'Unknown'));
+    person.posts = [];
+    if (person.publicIdentifier) people.set(`id:${person.publicIdentifier.toLowerCase()}`, person);
+    if (person.name && !people.has(`name:${person.name.toLowerCase()}`)) {
+      people.set(`name:${person.name.toLowerCase()}`, person);
+    }
+    peopleList.push(person);
+    return person;
+  };
+
+  // You
+  let me = null;
+  if (profile) {
+    me = addPerson({
+      name: `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'Me',
+      publicIdentifier: profile.publicIdentifier || null,
+      fields: {
+        urn: profile.entityUrn || profile.memberUrn,
+        headline: profile.headline,
+        location: profile.locationName || profile.location,
+        profileUrl: profile.publicIdentifier ? `https://www.linkedin.com/in/${profile.publicIdentifier}` : null,
+        tags: ['linkedin/me']
+      }
+    });
+  }
+
+  // Connections
+  connections.forEach(connection => {
+    const name = connection.fullName || `${connection.firstName || ''} ${connection.lastName || ''}`.trim();
+    addPerson({
+      name: name || connection.publicIdentifier,
+      publicIdentifier: connection.publicIdentifier || publicIdFromUrl(connection.profileUrl),
+      fields: {
+        urn: connection.entityUrn || connection.connectionUrn,
+        headline: connection.headline,
+        position: connection.position,
+        company: connection.company,
+        industry: connection.industry,
+        location: connection.locationName,
+        profileUrl: connection.profileUrl,
+        connectedAt: toISODate(connection.connectedAt),
+        tags: ['linkedin/connection']
+      }
+    });
+  });
+
+  // Feed authors that aren't connections still get a note so links resolve
+  const authorOf = post => {
+    const author = post.author || {};
+    const publicIdentifier = publicIdFromUrl(author.profileUrl);
+    return findPerson(publicIdentifier, author.name) || addPerson({
+      name: author.name && author.name !== 'Unknown' ? author.name : (publicIdentifier || 'Unknown author'),
+      publicIdentifier,
+      fields: {
+        headline: author.headline,
+        profileUrl: author.profileUrl,
+        tags: ['linkedin/author']
+      }
+    });
+  };
+
+  const files = [];
+
+  const postNote = (post, folder, author, metrics, tag) => {
+    const postedAt = toISODate(post.postedAt);
+    const title = toNoteName((post.text || '').split('\n')[0], post.urn?.split(':').pop() || 'Post');
+    const path = nameNote(folder, postedAt ? `${postedAt.slice(0, 10)} ${title}` : title);
+    const hashtags = (post.hashtags || []).map(tag => tag.replace(/^#/, ''));
+
+    if (author) author.posts.push(path);
+
+    files.push({
+      name: `${path}.md`,
+      content: frontmatter({
+        urn: post.urn,
+        author: author ? author.name : null,
+        postedAt,
+        capturedAt: toISODate(post.extractedAt),
+        type: post.type,
+        ...metrics,
+        hashtags,
+        url: post.url,
+        tags: [tag, ...hashtags.map(hashtag => `hashtag/${hashtag}`)]
+      }) +
+        (author ? `\nBy ${wikiLink(author.path, author.name)}\n` : '') +
+        `\n${post.text || ''}\n` +
+        (post.url ? `\n[View on LinkedIn](${post.url})\n` : '')
+    });
+  };
+
+  myPosts.forEach(post => postNote(post, 'Posts', me, {
+    likes: post.engagement?.likes,
+    comments: post.engagement?.comments,
+    shares: post.engagement?.shares,
+    impressions: post.analytics?.impressions,
+    clicks: post.analytics?.clicks,
+    engagementRate: post.analytics?.engagementRate !== undefined ? Number(post.analytics.engagementRate) : null
+  }, 'linkedin/my-post'));
+
+  feedPosts.forEach(post => postNote(post, 'Feed', authorOf(post), {
+    likes: post.engagement?.likes,
+    comments: post.engagement?.comments,
+    shares: post.engagement?.shares,
+    engagementScore: post.engagementScore
+  }, 'linkedin/feed-post'));
+
+  peopleList.forEach(person => {
+    const profileUrl = person.fields.profileUrl;
+    files.push({
+      name: `${person.path}.md`,
+      content: frontmatter({ name: person.name, publicIdentifier: person.publicIdentifier, ...person.fields }) +
+        `\n# ${person.name}\n` +
+        (person.fields.headline ? `\n${person.fields.headline}\n` : '') +
+        (profileUrl ? `\n[LinkedIn profile](${profileUrl})\n` : '') +
+        (person.posts.length > 0
+          ? `\n## Posts\n\n${person.posts.map(path => `- ${wikiLink(path)}`).join('\n')}\n`
+          : '')
+    });
+  });
+
+  files.unshift({
+    name: 'LinkedIn.md',
+    content: frontmatter({ exportedAt: new Date().toISOString(), tags: ['linkedin'] }) +
+      '\n# LinkedIn\n\n' +
+      (me ? `- Me: ${wikiLink(me.path, me.name)}\n` : '') +
+      `- Connections: ${connections.length} (in \`People/\`)\n` +
+      `- My posts: ${myPosts.length} (in \`Posts/\`)\n` +
+      `- Feed posts: ${feedPosts.length} (in \`Feed/\`)\n`
+  });
+
+  return files;
+}
@@ -0,0 +1,354 @@
+/**
+ * LinkedIn Data Extractor - HTML Report Writer
+ *
+ * Renders a single self-contained HTML file (inline CSS, inline SVG charts,
+ * no scripts or external assets) summarising the data shown in the popup.
+ * Safe to email or archive - it opens in any browser without the extension.
+ */
+
+const COLORS = {
+  primary: '#0a66c2',
+  accent: '#70b5f9',
+  positive: '#057642',
+  negative: '#b24020',
+  muted: '#666666',
+  track: '#eef3f8'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Escape text for HTML/SVG
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Compact number formatting (1.2K, 3.4M) - matches the popup
+ */
+function formatNumber(num) {
+  if (num === null || num === undefined || num === '') return '-';
+  const value = Number(num);
+  if (!Number.isFinite(value)) return escapeHtml(num);
+  if (value >= 1000000) return (value / 1000000).toFixed(1) + 'M';
+  if (value >= 1000) return (value / 1000).toFixed(1) + 'K';
+  return value.toLocaleString('en-US');
+}
+
+function truncate(text, maxLength) {
+  const value = String(text || '');
+  return value.length > maxLength ? value.slice(0, maxLength).trim() + '...' : value;
+}
+
+/**
+ * Count values and return the top entries as [{ label, value }]
+ */
+function topCounts(items, getKey, limit) {
+  const counts = {};
+  items.forEach(item => {
+    const key = getKey(item);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([label, value]) => ({ label, value }));
+}
+
+// ============================================
+// SVG CHARTS
+// ============================================
+
+/**
+ * Horizontal bar chart; items: [{ label, value, display? }]
+ */
+function barChart(items, { max = null, color = COLORS.primary } = {}) {
+  if (!items || items.length === 0) return '<p class="empty">No data captured yet</p>';
+
+  const width = 560;
+  const rowHeight = 26;
+  const labelWidth = 180;
+  const valueWidth = 60;
+  const barArea = width - labelWidth - valueWidth;
+  const top = max || Math.max(...items.map(item => item.value), 1);
+
+  const rows = items.map((item, i) => {
+    const y = i * rowHeight;
+    const barWidth = Math.max(2, (item.value / top) * barArea);
+    return `<g transform="translate(0,${y})">` +
+      `<text x="0" y="17" class="label">${escapeHtml(truncate(item.label, 28))}</text>` +
+      `<rect x="${labelWidth}" y="5" width="${barArea}" height="16" rx="3" fill="${COLORS.track}"/>` +
+      `<rect x="${labelWidth}" y="5" width="${barWidth.toFixed(1)}" height="16" rx="3" fill="${color}"/>` +
+      `<text x="${width}" y="17" class="value" text-anchor="end">${escapeHtml(item.display ?? formatNumber(item.value))}</text>` +
+      '</g>';
+  }).join('');
+
+  const height = items.length * rowHeight;
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${rows}</svg>`;
+}
+
+/**
+ * Line chart over a daily series; points: [{ date, value }]
+ */
+function lineChart(points, { color = COLORS.primary } = {}) {
+  if (!points || points.length < 2) return '<p class="empty">Not enough history yet</p>';
+
+  const width = 560;
+  const height = 140;
+  const pad = { top: 10, right: 10, bottom: 22, left: 44 };
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+
+  const x = i => pad.left + (i / (points.length - 1)) * (width - pad.left - pad.right);
+  const y = value => pad.top + (1 - (value - min) / span) * (height - pad.top - pad.bottom);
+
+  const path = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const area = `${path} L${x(points.length - 1).toFixed(1)},${height - pad.bottom} L${pad.left},${height - pad.bottom} Z`;
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">` +
+    `<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="${COLORS.track}"/>` +
+    `<path d="${area}" fill="${color}" fill-opacity="0.08"/>` +
+    `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>` +
+    `<text x="${pad.left - 6}" y="${y(max) + 4}" class="axis" text-anchor="end">${formatNumber(max)}</text>` +
+    `<text x="${pad.left - 6}" y="${y(min) + 4}" class="axis" text-anchor="end">${formatNumber(min)}</text>` +
+    `<text x="${pad.left}" y="${height - 6}" class="axis">${escapeHtml(points[0].date)}</text>` +
+    `<text x="${width - pad.right}" y="${height - 6}" class="axis" text-anchor="end">${escapeHtml(points[points.length - 1].date)}</text>` +
+    '</svg>';
+}
+
+/**
+ * Circular 0-100 score gauge
+ */
+function scoreRing(score) {
+  const radius = 54;
+  const circumference = 2 * Math.PI * radius;
+  const offset = circumference - (score / 100) * circumference;
+  return '<svg viewBox="0 0 140 140" width="140" height="140" role="img">' +
+    `<circle cx="70" cy="70" r="${radius}" fill="none" stroke="${COLORS.track}" stroke-width="12"/>` +
+    `<circle cx="70" cy="70" r="${radius}" fill="none" stroke="${COLORS.primary}" stroke-width="12" stroke-linecap="round" ` +
+    `stroke-dasharray="${circumference.toFixed(1)}" stroke-dashoffset="${offset.toFixed(1)}" transform="rotate(-90 70 70)"/>` +
+    `<text x="70" y="78" text-anchor="middle" class="score">${score}</text>` +
+    '</svg>';
+}
+
+// ============================================
+// SECTIONS
+// ============================================
+
+/**
+ * Industry/company/location breakdown and diversity score of the network
+ * (same weighting as the popup's Insights view)
+ */
+function summarizeNetwork(connections) {
+  const industries = topCounts(connections, c => c.industry || c.industryName || 'Other', Infinity);
+  const companies = topCounts(connections, c => c.company || c.companyName, Infinity);
+  const locations = topCounts(connections, c => (c.locationName || c.location || '').split(',')[0].trim(), Infinity);
+
+  const score = Math.round(
+    Math.min(connections.length / 500 * 30, 30) +
+    Math.min(industries.length / 20 * 25, 25) +
+    Math.min(companies.length / 50 * 25, 25) +
+    Math.min(locations.length / 30 * 20, 20)
+  );
+
+  return {
+    score,
+    industries: industries.slice(0, 5),
+    companies: companies.slice(0, 5),
+    locations: locations.slice(0, 6)
+  };
+}
+
+function statCard(label, value, delta) {
+  let deltaHtml = '';
+  if (delta && delta.delta !== null && delta.delta !== undefined) {
+    const positive = delta.delta >= 0;
+    const sign = positive ? '+' : '-';
+    const percent = delta.percentChange !== null ? ` (${sign}${Math.abs(delta.percentChange)}%)` : '';
+    deltaHtml = `<div class="delta ${positive ? 'up' : 'down'}">${sign}${formatNumber(Math.abs(delta.delta))}${percent} vs last week</div>`;
+  }
+  return `<div class="stat"><div class="stat-value">${formatNumber(value)}</div><div class="stat-label">${escapeHtml(label)}</div>${deltaHtml}</div>`;
+}
+
+function renderProfileSection(profile, totals) {
+  const name = `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'LinkedIn User';
+  const meta = [profile.locationName || profile.location, profile.industryName || profile.industry].filter(Boolean);
+
+  return '<header class="card profile">' +
+    `<h1>${escapeHtml(name)}</h1>` +
+    (profile.headline ? `<p class="headline">${escapeHtml(profile.headline)}</p>` : '') +
+    (meta.length ? `<p class="meta">${meta.map(escapeHtml).join(' &middot; ')}</p>` : '') +
+    '<div class="stats">' +
+    statCard('Connections', totals.connections) +
+    statCard('Followers', totals.followers) +
+    statCard('Posts analysed', totals.posts) +
+    '</div></header>';
+}
+
+function renderAnalyticsSection(analytics, trends, series) {
+  const cards = [
+    ['Profile views', analytics.profileViews, trends.profileViews],
+    ['Search appearances', analytics.searchAppearances],
+    ['Impressions', analytics.impressions, trends.impressions],
+    ['Members reached', analytics.membersReached, trends.membersReached]
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  const charts = [
+    ['Impressions', series.impressions],
+    ['Profile views', series.profileViews],
+    ['Followers', series.followerCount]
+  ].filter(([, points]) => points && points.length >= 2);
+
+  return '<section class="card"><h2>Analytics</h2>' +
+    (cards.length ? `<div class="stats">${cards.map(([label, value, delta]) => statCard(label, value, delta)).join('')}</div>` : '<p class="empty">No analytics captured yet</p>') +
+    charts.map(([label, points]) => `<h3>${escapeHtml(label)} (last 30 days)</h3>${lineChart(points)}`).join('') +
+    '</section>';
+}
+
+function renderLeaderboardSection(postAnalytics) {
+  const posts = [...(postAnalytics.posts || [])]
+    .map(post => ({
+      text: post.postText || post.postContent || 'Post',
+      impressions: post.discovery?.impressions || post.impressions || 0,
+      reactions: post.socialEngagement?.reactions || post.engagement?.reactions || 0,
+      comments: post.socialEngagement?.comments || post.engagement?.comments || 0,
+      engagementRate: post.engagementRate
+    }))
+    .sort((a, b) => b.impressions - a.impressions)
+    .slice(0, 10);
+
+  if (posts.length === 0) {
+    return '<section class="card"><h2>Top Posts</h2><p class="empty">No post analytics captured yet</p></section>';
+  }
+
+  const stats = postAnalytics.stats || {};
+  const rows = posts.map((post, i) => '<tr>' +
+    `<td class="rank">${i + 1}</td>` +
+    `<td>${escapeHtml(truncate(post.text, 90))}</td>` +
+    `<td class="num">${formatNumber(post.impressions)}</td>` +
+    `<td class="num">${formatNumber(post.reactions)}</td>` +
+    `<td class="num">${formatNumber(post.comments)}</td>` +
+    `<td class="num">${post.engagementRate ? escapeHtml(post.engagementRate) + '%' : '-'}</td>` +
+    '</tr>').join('');
+
+  return '<section class="card"><h2>Top Posts</h2>' +
+    '<div class="stats">' +
+    statCard('Total impressions', stats.totalImpressions) +
+    statCard('Avg. impressions', stats.avgImpressions) +
+    `<div class="stat"><div class="stat-value">${escapeHtml(stats.avgEngagementRate || '0')}%</div><div class="stat-label">Avg. engagement rate</div></div>` +
+    '</div>' +
+    barChart(posts.map((post, i) => ({ label: `#${i + 1} ${post.text}`, value: post.impressions }))) +
+    '<table><thead><tr><th>#</th><th>Post</th><th>Impressions</th><th>Reactions</th><th>Comments</th><th>Eng.</th></tr></thead>' +
+    `<tbody>${rows}</tbody></table></section>`;
+}
+
+function renderAudienceSection(audience) {
+  const demographics = audience.demographics || {};
+  const groups = [
+    ['Industries', demographics.industries],
+    ['Seniority', demographics.seniority],
+    ['Locations', demographics.locations],
+    ['Companies', demographics.topCompanies]
+  ].filter(([, items]) => items && items.length > 0);
+
+  const body = groups.length
+    ? groups.map(([label, items]) => `<h3>${label}</h3>` + barChart(
+        items.slice(0, 5).map(item => ({ label: item.value, value: Number(item.percentage) || 0, display: `${item.percentage}%` })),
+        { max: 100, color: COLORS.accent }
+      )).join('')
+    : '<p class="empty">No audience data captured yet</p>';
+
+  return '<section class="card"><h2>Audience</h2>' +
+    (audience.totalFollowers ? `<div class="stats">${statCard('Followers', audience.totalFollowers)}</div>` : '') +
+    body + '</section>';
+}
+
+function renderHashtagSection(feedStats) {
+  const hashtags = (feedStats.topHashtags || []).slice(0, 10)
+    .map(h => ({ label: `#${String(h.tag).replace(/^#/, '')}`, value: h.count }));
+  return `<section class="card"><h2>Top Hashtags</h2>${barChart(hashtags, { color: COLORS.accent })}</section>`;
+}
+
+function renderNetworkSection(connections) {
+  if (connections.length === 0) {
+    return '<section class="card"><h2>Network Insights</h2><p class="empty">No connections loaded yet</p></section>';
+  }
+
+  const network = summarizeNetwork(connections);
+  return '<section class="card"><h2>Network Insights</h2>' +
+    `<div class="score-row">${scoreRing(network.score)}<p>Network diversity score, based on size and the spread of industries, companies and locations across ${formatNumber(connections.length)} connections.</p></div>` +
+    `<h3>Industries</h3>${barChart(network.industries)}` +
+    `<h3>Companies</h3>${barChart(network.companies)}` +
+    `<h3>Locations</h3>${barChart(network.locations)}` +
+    '</section>';
+}
+
+const REPORT_CSS = `
+*{box-sizing:border-box}
+body{margin:0;padding:32px 16px;background:#f3f2ef;color:#1d2226;font:14px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif}
+main{max-width:720px;margin:0 auto}
+.card{background:#fff;border-radius:12px;padding:20px 24px;margin-bottom:16px;box-shadow:0 1px 2px rgba(0,0,0,.08)}
+h1{margin:0;font-size:24px}h2{margin:0 0 12px;font-size:18px;color:${COLORS.primary}}h3{margin:16px 0 6px;font-size:13px;color:${COLORS.muted};text-transform:uppercase;letter-spacing:.04em}
+.headline{margin:4px 0;font-size:15px}.meta{margin:0;color:${COLORS.muted}}
+.stats{display:flex;flex-wrap:wrap;gap:12px;margin:12px 0}
+.stat{flex:1 1 140px;background:${COLORS.track};border-radius:8px;padding:10px 12px}
+.stat-value{font-size:22px;font-weight:600}.stat-label{color:${COLORS.muted};font-size:12px}
+.delta{font-size:11px;margin-top:2px}.delta.up{color:${COLORS.positive}}.delta.down{color:${COLORS.negative}}
+svg .label{font-size:12px;fill:#1d2226}svg .value{font-size:12px;fill:${COLORS.muted}}svg .axis{font-size:10px;fill:${COLORS.muted}}svg .score{font-size:30px;font-weight:600;fill:#1d2226}
+table{width:100%;border-collapse:collapse;margin-top:12px;font-size:12px}
+th,td{padding:6px 4px;border-bottom:1px solid ${COLORS.track};text-align:left;vertical-align:top}
+th{color:${COLORS.muted};font-weight:500}.num{text-align:right;white-space:nowrap}.rank{color:${COLORS.muted}}
+.score-row{display:flex;align-items:center;gap:16px}.score-row p{margin:0;color:${COLORS.muted}}
+.empty{color:${COLORS.muted};font-style:italic}
+footer{text-align:center;color:${COLORS.muted};font-size:12px}
+@media print{body{background:#fff;padding:0}.card{box-shadow:none;border:1px solid #ddd;break-inside:avoid}}
+`;
+
+// ============================================
+// REPORT
+// ============================================
+
+/**
+ * Build the report
+ * data: { profile, analytics, postAnalytics, audience, feedStats, connections,
+ *         trends: { metric: delta }, series: { metric: [{ date, value }] }, generatedAt }
+ * Returns the HTML document as a string.
+ */
+export function createReport(data) {
+  const profile = data.profile || {};
+  const analytics = data.analytics || {};
+  const postAnalytics = data.postAnalytics || {};
+  const audience = data.audience || {};
+  const connections = data.connections || [];
+  const generatedAt = data.generatedAt || new Date();
+
+  const name = `${profile.firstName || ''} ${profile.lastName || ''}`.trim() || 'LinkedIn';
+  const totals = {
+    connections: connections.length || profile.connectionsCount || profile.numConnections,
+    followers: audience.totalFollowers || profile.followerCount,
+    posts: postAnalytics.posts?.length || 0
+  };
+
+  return '<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8">' +
+    '<meta name="viewport" content="width=device-width,initial-scale=1">' +
+    `<title>${escapeHtml(name)} - LinkedIn Report</title>` +
+    `<style>${REPORT_CSS}</style></head><body><main>` +
+    renderProfileSection(profile, totals) +
+    renderAnalyticsSection(analytics, data.trends || {}, data.series || {}) +
+    renderLeaderboardSection(postAnalytics) +
+    renderAudienceSection(audience) +
+    renderHashtagSection(data.feedStats || {}) +
+    renderNetworkSection(connections) +
+    `<footer>Generated ${escapeHtml(generatedAt.toISOString().slice(0, 10))} by LinkedIn Data Extractor</footer>` +
+    '</main></body></html>\n';
+}
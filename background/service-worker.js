@@ -10,6 +10,28 @@
  * - Data storage management
  */
 
+import {
+  replaceRecords,
+  appendRecord,
+  getAllRecords,
+  queryRecords,
+  countRecords,
+  getLastRecord,
+  putRecords,
+  getFirstRecord,
+  deleteRecord,
+  clearRecords,
+  clearAllRecords,
+  trimRecords,
+  snapshotStores,
+  restoreStores
+} from './idb-repository.js';
+import { createWorkbook } from './xlsx-writer.js';
+import { createReport } from './report-writer.js';
+import { createVaultFiles } from './markdown-writer.js';
+import { createDatabase } from './sqlite-writer.js';
+import { createZip, bytesToBase64 } from './zip-writer.js';
+
 // ============================================
 // CONSTANTS
 // ============================================
@@ -27,6 +49,7 @@ const COOKIE_NAMES = {
 const STORAGE_KEYS = {
   AUTH_DATA: 'linkedin_auth',
   PROFILE_DATA: 'linkedin_profile',
+  FULL_PROFILE: 'linkedin_full_profile',
   ANALYTICS_DATA: 'linkedin_analytics',
   POST_ANALYTICS_DATA: 'linkedin_post_analytics',
   AUDIENCE_DATA: 'linkedin_audience',
@@ -38,9 +61,74 @@ const STORAGE_KEYS = {
   FOLLOWERS: 'linkedin_followers',
   TRENDING: 'linkedin_trending',
   CAPTURED_APIS: 'captured_apis',
+  METRIC_SNAPSHOTS: 'linkedin_metric_snapshots',
+  REQUEST_BUDGET: 'request_budget',
+  SYNC_JOB: 'linkedin_sync_job',
+  CONNECTION_CHANGES: 'linkedin_connection_changes',
+  SCHEDULED_SYNC_STATUS: 'linkedin_scheduled_sync',
+  SCHEMA_VERSION: 'schema_version',
+  WEBHOOK_LOG: 'webhook_delivery_log',
+  EXTERNAL_API_AUDIT: 'external_api_audit',
   SETTINGS: 'extension_settings'
 };
 
+// Defaults written on install (existing values win on update)
+const DEFAULT_SETTINGS = {
+  autoCapture: true,
+  captureProfiles: true,
+  captureAnalytics: true,
+  captureConnections: true,
+  maxStoredApis: 1000,
+  syncEnabled: false,
+  syncIntervalHours: 12,
+  syncDatasets: ['profile', 'analytics', 'connections', 'enrichment'],
+  crmPresets: {},            // User overrides / custom CRM export presets, keyed by preset id
+  webhookEnabled: false,
+  webhookUrl: '',            // Local endpoint only (localhost / 127.0.0.1)
+  webhookSecret: '',         // Generated on first enable; signs every delivery
+  nativeHostEnabled: false,  // Keep a native messaging port open to the companion host
+  externalApiClients: {},    // Extension ID -> { label, scopes, addedAt } allowed to call the external API
+  recordCaptures: false,     // Developer mode: keep raw capture events for fixtures / replay
+  harCapture: false,         // Developer mode: record full Voyager request/response pairs as HAR
+  categorizerRules: []       // Overrides for content/categorizer-registry.js (same id replaces a built-in rule)
+};
+
+// Request scheduler limits shared by every FETCH_* handler
+const REQUEST_LIMITS = {
+  MAX_CONCURRENT: 2,
+  MIN_INTERVAL_MS: 300,      // Minimum spacing between request starts
+  MAX_RETRIES: 4,
+  BASE_BACKOFF_MS: 1000,
+  MAX_BACKOFF_MS: 60000,
+  DAILY_BUDGET: 1500         // Overridable via extension_settings.dailyRequestBudget
+};
+
+// 999 is LinkedIn's "request denied" status for suspected automation
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 999];
+
+// Bulk datasets kept in IndexedDB instead of chrome.storage.local.
+// `field` is the array inside the stored wrapper object (null = the value is the array);
+// everything else in the wrapper (stats, topHits, ...) stays in chrome.storage.local.
+// `limitSetting` names the setting that caps an append-only log, oldest records going first.
+const BULK_DATASETS = {
+  [STORAGE_KEYS.CONNECTIONS_DATA]: {
+    store: 'connections',
+    field: 'connections',
+    keyOf: c => c.entityUrn || c.connectionUrn || c.publicIdentifier
+  },
+  [STORAGE_KEYS.FEED_POSTS]: { store: 'feed_posts', field: 'posts', keyOf: p => p.urn },
+  [STORAGE_KEYS.MY_POSTS]: { store: 'my_posts', field: 'posts', keyOf: p => p.urn },
+  [STORAGE_KEYS.COMMENTS]: { store: 'comments', field: 'comments', keyOf: c => c.urn },
+  [STORAGE_KEYS.POST_ANALYTICS_DATA]: { store: 'post_analytics', field: 'posts', keyOf: p => p.activityUrn },
+  [STORAGE_KEYS.CAPTURED_APIS]: { store: 'captured_apis', field: null, keyOf: null, limitSetting: 'maxStoredApis' }
+};
+
+// Metrics tracked over time by the snapshot store
+const SNAPSHOT_METRICS = ['profileViews', 'connectionsCount', 'followerCount', 'impressions', 'membersReached', 'searchAppearances'];
+
+// Oldest snapshots are dropped beyond this (several captures a day for well over a year)
+const MAX_METRIC_SNAPSHOTS = 3000;
+
 // LinkedIn API decoration IDs (these are used by LinkedIn internally)
 const DECORATION_IDS = {
   FULL_PROFILE: 'com.linkedin.voyager.dash.deco.identity.profile.WebTopCardCore-16',
@@ -116,10 +204,14 @@ async function checkAuthentication() {
 // ============================================
 
 /**
- * Save data to chrome.storage.local
+ * Save data to chrome.storage.local (bulk datasets go to IndexedDB)
  */
 async function saveToStorage(key, data) {
   try {
+    if (BULK_DATASETS[key]) {
+      return await saveBulkDataset(key, data);
+    }
+
     await chrome.storage.local.set({ [key]: data });
     return { success: true };
   } catch (error) {
@@ -129,10 +221,14 @@ async function saveToStorage(key, data) {
 }
 
 /**
- * Get data from chrome.storage.local
+ * Get data from chrome.storage.local (bulk datasets are read back from IndexedDB)
  */
 async function getFromStorage(key) {
   try {
+    if (BULK_DATASETS[key]) {
+      return { success: true, data: await getBulkDataset(key) };
+    }
+
     const result = await chrome.storage.local.get(key);
     return { success: true, data: result[key] || null };
   } catch (error) {
@@ -147,6 +243,16 @@ async function getFromStorage(key) {
 async function getAllStoredData() {
   try {
     const result = await chrome.storage.local.get(null);
+
+    for (const key of Object.keys(BULK_DATASETS)) {
+      const data = await getBulkDataset(key);
+      if (data) {
+        result[key] = data;
+      } else {
+        delete result[key];
+      }
+    }
+
     return { success: true, data: result };
   } catch (error) {
     console.error('[ServiceWorker] Storage get all error:', error);
@@ -159,7 +265,12 @@ async function getAllStoredData() {
  */
 async function clearStorage() {
   try {
+    // Keep the schema version so the next update doesn't replay migrations on new data
+    const schema = await chrome.storage.local.get(STORAGE_KEYS.SCHEMA_VERSION);
     await chrome.storage.local.clear();
+    await chrome.storage.local.set(schema);
+    await clearAllRecords();
+    harStoredChars = 0;
     return { success: true };
   } catch (error) {
     console.error('[ServiceWorker] Storage clear error:', error);
@@ -172,15 +283,26 @@ async function clearStorage() {
  */
 async function appendToStorage(key, newData) {
   try {
-    const existing = await getFromStorage(key);
-    const currentArray = existing.data || [];
-
     // Add timestamp to new data
     const dataWithTimestamp = {
       ...newData,
       capturedAt: new Date().toISOString()
     };
 
+    // IndexedDB-backed arrays are only capped when they name a limit setting
+    if (BULK_DATASETS[key]) {
+      const { store } = BULK_DATASETS[key];
+      await ensureBulkDatasetsMigrated();
+      await appendRecord(store, dataWithTimestamp);
+
+      const limit = await getBulkDatasetLimit(key);
+      if (limit !== null) await trimRecords(store, limit);
+      return { success: true, count: await countRecords(store) };
+    }
+
+    const existing = await getFromStorage(key);
+    const currentArray = existing.data || [];
+
     currentArray.push(dataWithTimestamp);
 
     // Keep only last 1000 entries to prevent storage bloat
@@ -194,6 +316,128 @@ async function appendToStorage(key, newData) {
   }
 }
 
+// ============================================
+// INDEXEDDB-BACKED DATASETS
+// ============================================
+
+let bulkMigrationPromise = null;
+
+/**
+ * Most records a bulk dataset may keep, from its limit setting (null = unlimited)
+ */
+async function getBulkDatasetLimit(key) {
+  const { limitSetting } = BULK_DATASETS[key];
+  if (!limitSetting) return null;
+
+  const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  return settings.data?.[limitSetting] ?? DEFAULT_SETTINGS[limitSetting];
+}
+
+/**
+ * Move datasets written by older versions (arrays inline in chrome.storage.local)
+ * into IndexedDB. Runs once per worker before any bulk read or write.
+ */
+function ensureBulkDatasetsMigrated() {
+  if (!bulkMigrationPromise) {
+    bulkMigrationPromise = migrateInlineBulkDatasets().catch(error => {
+      bulkMigrationPromise = null;
+      throw error;
+    });
+  }
+  return bulkMigrationPromise;
+}
+
+async function migrateInlineBulkDatasets() {
+  const keys = Object.keys(BULK_DATASETS);
+  const stored = await chrome.storage.local.get(keys);
+
+  for (const key of keys) {
+    const { store, field } = BULK_DATASETS[key];
+    let value = stored[key];
+
+    // Some older versions stored the bare array even for wrapped datasets
+    if (field && Array.isArray(value)) {
+      value = { [field]: value };
+    }
+
+    const legacyRecords = field ? value?.[field] : value;
+    if (Array.isArray(legacyRecords)) {
+      console.log(`[ServiceWorker] Moving ${legacyRecords.length} ${store} records to IndexedDB`);
+      await writeBulkDataset(key, value);
+    }
+  }
+}
+
+/**
+ * Split a bulk dataset: records go to IndexedDB, the wrapper metadata to chrome.storage.local
+ */
+async function saveBulkDataset(key, data) {
+  await ensureBulkDatasetsMigrated();
+
+  // Limited datasets are plain arrays (no `field`); keep the newest records
+  const limit = await getBulkDatasetLimit(key);
+  return writeBulkDataset(key, limit !== null && Array.isArray(data) ? data.slice(-limit) : data);
+}
+
+async function writeBulkDataset(key, data) {
+  const { store, field, keyOf } = BULK_DATASETS[key];
+
+  const records = field ? (data?.[field] || []) : (Array.isArray(data) ? data : []);
+  const written = await replaceRecords(store, records, keyOf);
+
+  if (field && data) {
+    const meta = { ...data };
+    delete meta[field];
+    await chrome.storage.local.set({ [key]: meta });
+  } else {
+    await chrome.storage.local.remove(key);
+  }
+
+  return { success: true, count: written };
+}
+
+/**
+ * Reassemble a bulk dataset into the shape callers have always seen
+ */
+async function getBulkDataset(key) {
+  await ensureBulkDatasetsMigrated();
+
+  const { store, field } = BULK_DATASETS[key];
+  const records = await getAllRecords(store);
+
+  if (!field) {
+    return records.length > 0 ? records : null;
+  }
+
+  const result = await chrome.storage.local.get(key);
+  const meta = result[key];
+
+  if (!meta && records.length === 0) {
+    return null;
+  }
+
+  return { ...meta, [field]: records };
+}
+
+/**
+ * Query a bulk dataset through one of its IndexedDB indexes (urn, author, dates, ...)
+ */
+async function queryDataset(key, index, options = {}) {
+  try {
+    const dataset = BULK_DATASETS[key];
+    if (!dataset) {
+      return { success: false, error: `Dataset ${key} is not indexed` };
+    }
+
+    await ensureBulkDatasetsMigrated();
+    const records = await queryRecords(dataset.store, index, options);
+    return { success: true, data: records, count: records.length };
+  } catch (error) {
+    console.error('[ServiceWorker] Dataset query error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Save feed posts with deduplication and engagement sorting
  */
@@ -204,7 +448,8 @@ async function saveFeedPostsToStorage(newPosts) {
     }
 
     const existing = await getFromStorage(STORAGE_KEYS.FEED_POSTS);
-    let allPosts = existing.data || [];
+    const existingData = existing.data || { posts: [] };
+    let allPosts = Array.isArray(existingData) ? existingData : (existingData.posts || []);
 
     // Create a map for deduplication (use URN as key)
     const postMap = new Map();
@@ -218,6 +463,7 @@ async function saveFeedPostsToStorage(newPosts) {
 
     // Add/update with new posts (newer data wins)
     let newCount = 0;
+    const changedPosts = [];
     newPosts.forEach(post => {
       if (post.urn) {
         const existingPost = postMap.get(post.urn);
@@ -225,11 +471,13 @@ async function saveFeedPostsToStorage(newPosts) {
           newCount++;
         }
         // Update with new data (may have updated engagement numbers)
-        postMap.set(post.urn, {
+        const merged = {
           ...existingPost,
           ...post,
           lastUpdated: new Date().toISOString()
-        });
+        };
+        postMap.set(post.urn, merged);
+        changedPosts.push(merged);
       }
     });
 
@@ -239,9 +487,6 @@ async function saveFeedPostsToStorage(newPosts) {
     // Sort by engagement score (highest first)
     allPosts.sort((a, b) => (b.engagementScore || 0) - (a.engagementScore || 0));
 
-    // Keep only top 500 posts to prevent storage bloat
-    allPosts = allPosts.slice(0, 500);
-
     // Calculate top hits (posts with high engagement)
     const topHits = allPosts
       .filter(p => p.engagementScore > 50)
@@ -257,6 +502,7 @@ async function saveFeedPostsToStorage(newPosts) {
     };
 
     await saveToStorage(STORAGE_KEYS.FEED_POSTS, feedData);
+    await queueWebhookDelta('feed_posts.updated', { posts: changedPosts, newCount, totalCount: allPosts.length });
 
     console.log(`[ServiceWorker] Feed posts saved: ${newCount} new, ${allPosts.length} total, ${topHits.length} top hits`);
 
@@ -354,9 +600,6 @@ async function saveCommentsToStorage(newComments) {
     // Sort by likes (highest first) - these are the best comments to learn from
     allComments.sort((a, b) => (b.likes || 0) - (a.likes || 0));
 
-    // Keep top 1000 comments
-    allComments = allComments.slice(0, 1000);
-
     // Calculate stats
     const topComments = allComments.filter(c => c.likes >= 5).slice(0, 50);
     const avgLength = allComments.length > 0
@@ -408,11 +651,14 @@ async function saveMyPostsToStorage(newPosts) {
 
     // Add/update posts
     let newCount = 0;
+    const changedPosts = [];
     newPosts.forEach(p => {
       if (p.urn) {
         if (!postMap.has(p.urn)) newCount++;
         // Always update with latest data (analytics may have changed)
-        postMap.set(p.urn, { ...postMap.get(p.urn), ...p, lastUpdated: new Date().toISOString() });
+        const merged = { ...postMap.get(p.urn), ...p, lastUpdated: new Date().toISOString() };
+        postMap.set(p.urn, merged);
+        changedPosts.push(merged);
       }
     });
 
@@ -425,9 +671,6 @@ async function saveMyPostsToStorage(newPosts) {
       return scoreB - scoreA;
     });
 
-    // Keep top 200 of your posts
-    allPosts = allPosts.slice(0, 200);
-
     // Calculate stats
     const totalImpressions = allPosts.reduce((sum, p) => sum + (p.analytics?.impressions || 0), 0);
     const totalLikes = allPosts.reduce((sum, p) => sum + (p.engagement?.likes || 0), 0);
@@ -452,6 +695,7 @@ async function saveMyPostsToStorage(newPosts) {
     };
 
     await saveToStorage(STORAGE_KEYS.MY_POSTS, myPostsData);
+    await queueWebhookDelta('my_posts.updated', { posts: changedPosts, newCount, totalCount: allPosts.length });
     console.log(`[ServiceWorker] My posts saved: ${newCount} new, ${allPosts.length} total`);
 
     return { success: true, newCount, totalCount: allPosts.length };
@@ -503,6 +747,7 @@ async function saveFollowersToStorage(newData) {
     existingData.lastUpdated = new Date().toISOString();
 
     await saveToStorage(STORAGE_KEYS.FOLLOWERS, existingData);
+    await recordMetricSnapshot(STORAGE_KEYS.FOLLOWERS, newData);
     console.log(`[ServiceWorker] Followers saved: ${existingData.followers?.length || 0} followers, count: ${existingData.followerCount}`);
 
     return { success: true, count: existingData.followers?.length || 0, followerCount: existingData.followerCount };
@@ -559,40 +804,66 @@ async function saveTrendingToStorage(newTopics) {
  * Save individual post analytics with deduplication by activity URN
  */
 async function savePostAnalyticsToStorage(newData) {
-  try {
-    if (!newData || !newData.activityUrn) {
-      return { success: false, error: 'No activity URN provided' };
-    }
+  if (!newData || !newData.activityUrn) {
+    return { success: false, error: 'No activity URN provided' };
+  }
+
+  const result = await mergePostAnalytics([newData]);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    totalCount: result.totalCount,
+    isUpdate: result.addedCount === 0
+  };
+}
 
+/**
+ * Merge post analytics by activity URN, then save once and queue a single webhook delta
+ * (imports pass every post at once rather than rewriting the dataset per post)
+ */
+async function mergePostAnalytics(posts) {
+  try {
     const existing = await getFromStorage(STORAGE_KEYS.POST_ANALYTICS_DATA);
     let existingData = existing.data || { posts: [], stats: {} };
     let allPosts = existingData.posts || [];
 
-    // Find existing post by URN
-    const existingIndex = allPosts.findIndex(p => p.activityUrn === newData.activityUrn);
+    const indexByUrn = new Map(allPosts.map((post, index) => [post.activityUrn, index]));
+    const touched = new Set();
+    const now = new Date().toISOString();
+    let addedCount = 0;
+
+    posts.forEach(newData => {
+      if (!newData?.activityUrn) return;
+
+      const existingIndex = indexByUrn.get(newData.activityUrn);
+      if (existingIndex !== undefined) {
+        // Update existing post analytics
+        allPosts[existingIndex] = {
+          ...allPosts[existingIndex],
+          ...newData,
+          lastUpdated: now
+        };
+      } else {
+        // Add new post analytics
+        indexByUrn.set(newData.activityUrn, allPosts.length);
+        allPosts.push({
+          ...newData,
+          firstCaptured: now,
+          lastUpdated: now
+        });
+        addedCount++;
+      }
+      touched.add(newData.activityUrn);
+    });
 
-    if (existingIndex >= 0) {
-      // Update existing post analytics
-      allPosts[existingIndex] = {
-        ...allPosts[existingIndex],
-        ...newData,
-        lastUpdated: new Date().toISOString()
-      };
-    } else {
-      // Add new post analytics
-      allPosts.push({
-        ...newData,
-        firstCaptured: new Date().toISOString(),
-        lastUpdated: new Date().toISOString()
-      });
+    if (touched.size === 0) {
+      return { success: true, totalCount: allPosts.length, addedCount: 0, updatedCount: 0 };
     }
 
     // Sort by impressions (highest first)
     allPosts.sort((a, b) => (b.impressions || 0) - (a.impressions || 0));
 
-    // Keep top 100 posts
-    allPosts = allPosts.slice(0, 100);
-
     // Calculate aggregate stats
     const totalImpressions = allPosts.reduce((sum, p) => sum + (p.impressions || 0), 0);
     const totalReactions = allPosts.reduce((sum, p) => sum + (p.engagement?.reactions || 0), 0);
@@ -604,7 +875,7 @@ async function savePostAnalyticsToStorage(newData) {
     const postAnalyticsData = {
       posts: allPosts,
       totalCount: allPosts.length,
-      lastUpdated: new Date().toISOString(),
+      lastUpdated: now,
       stats: {
         totalImpressions,
         totalReactions,
@@ -616,12 +887,19 @@ async function savePostAnalyticsToStorage(newData) {
     };
 
     await saveToStorage(STORAGE_KEYS.POST_ANALYTICS_DATA, postAnalyticsData);
-    console.log(`[ServiceWorker] Post analytics saved: ${allPosts.length} posts, latest: ${newData.activityUrn}`);
+    await queueWebhookDelta('post_analytics.updated', {
+      posts: allPosts.filter(p => touched.has(p.activityUrn)),
+      isUpdate: addedCount === 0,
+      newCount: addedCount,
+      totalCount: allPosts.length
+    });
+    console.log(`[ServiceWorker] Post analytics saved: ${allPosts.length} posts, ${touched.size} merged`);
 
     return {
       success: true,
       totalCount: allPosts.length,
-      isUpdate: existingIndex >= 0
+      addedCount,
+      updatedCount: touched.size - addedCount
     };
   } catch (error) {
     console.error('[ServiceWorker] Error saving post analytics:', error);
@@ -644,6 +922,7 @@ async function saveAudienceDataToStorage(newData) {
     };
 
     await saveToStorage(STORAGE_KEYS.AUDIENCE_DATA, audienceData);
+    await recordMetricSnapshot(STORAGE_KEYS.AUDIENCE_DATA, audienceData);
     console.log(`[ServiceWorker] Audience data saved: ${newData.totalFollowers} followers`);
 
     return {
@@ -657,830 +936,4240 @@ async function saveAudienceDataToStorage(newData) {
 }
 
 // ============================================
-// DATA EXPORT
+// METRIC SNAPSHOTS (TIME SERIES)
 // ============================================
 
 /**
- * Export data as JSON
+ * Pull the tracked metrics out of a profile/analytics/audience/followers payload
  */
-async function exportAsJSON() {
-  const allData = await getAllStoredData();
-  if (!allData.success) {
-    return { success: false, error: allData.error };
-  }
-
-  const exportData = {
-    exportedAt: new Date().toISOString(),
-    version: '1.0.0',
-    data: allData.data
-  };
+function extractSnapshotMetrics(key, data) {
+  const metrics = {};
+  if (!data) return metrics;
+
+  switch (key) {
+    case STORAGE_KEYS.PROFILE_DATA:
+      metrics.connectionsCount = data.connectionsCount ?? data.numConnections;
+      metrics.followerCount = data.followerCount;
+      break;
 
-  return {
-    success: true,
-    content: JSON.stringify(exportData, null, 2),
-    filename: `linkedin-data-${Date.now()}.json`
-  };
-}
+    case STORAGE_KEYS.ANALYTICS_DATA:
+      metrics.profileViews = data.profileViews;
+      metrics.impressions = data.impressions ?? data.postImpressions;
+      metrics.membersReached = data.membersReached;
+      metrics.searchAppearances = data.searchAppearances;
+      metrics.connectionsCount = data.connectionsCount;
+      break;
 
-/**
- * Export data as CSV
- */
-async function exportAsCSV(dataKey) {
-  const result = await getFromStorage(dataKey);
-  if (!result.success || !result.data) {
-    return { success: false, error: 'No data to export' };
-  }
+    case STORAGE_KEYS.AUDIENCE_DATA:
+      metrics.followerCount = data.totalFollowers;
+      break;
 
-  const data = result.data;
-  if (!Array.isArray(data) || data.length === 0) {
-    return { success: false, error: 'No data to export' };
+    case STORAGE_KEYS.FOLLOWERS:
+      metrics.followerCount = data.followerCount;
+      break;
   }
 
-  // Get all unique keys from all objects
-  const allKeys = new Set();
-  data.forEach(item => {
-    if (typeof item === 'object') {
-      Object.keys(item).forEach(key => allKeys.add(key));
+  // Drop anything that isn't a usable number
+  Object.keys(metrics).forEach(metric => {
+    if (typeof metrics[metric] !== 'number' || isNaN(metrics[metric])) {
+      delete metrics[metric];
     }
   });
 
-  const headers = Array.from(allKeys);
-  const csvRows = [headers.join(',')];
-
-  data.forEach(item => {
-    const row = headers.map(header => {
-      const value = item[header];
-      if (value === null || value === undefined) return '';
-      if (typeof value === 'object') return JSON.stringify(value).replace(/"/g, '""');
-      return String(value).replace(/"/g, '""');
-    });
-    csvRows.push(row.map(v => `"${v}"`).join(','));
-  });
-
-  return {
-    success: true,
-    content: csvRows.join('\n'),
-    filename: `linkedin-${dataKey}-${Date.now()}.csv`
-  };
+  return metrics;
 }
 
-// ============================================
-// TAPLIO-STYLE LINKEDIN API CALLS
-// ============================================
-
 /**
- * Make authenticated request to LinkedIn Voyager API (Taplio-style)
+ * Append a dated snapshot of key metrics for the given capture
  */
-async function fetchLinkedInAPI(endpoint, options = {}) {
+async function recordMetricSnapshot(key, data, source = 'capture') {
   try {
-    const cookies = await getLinkedInCookies();
-    if (!cookies.isAuthenticated) {
-      return { success: false, error: 'Not authenticated' };
+    const metrics = extractSnapshotMetrics(key, data);
+    if (Object.keys(metrics).length === 0) {
+      return { success: true, recorded: false };
     }
 
-    const csrfToken = cookies.csrfToken?.replace(/"/g, '') || '';
+    const existing = await getFromStorage(STORAGE_KEYS.METRIC_SNAPSHOTS);
+    const snapshots = existing.data?.snapshots || [];
 
-    // Taplio-style headers
-    const headers = {
-      'accept': 'application/vnd.linkedin.normalized+json+2.1',
-      'accept-language': 'en-US,en;q=0.9',
-      'csrf-token': csrfToken,
-      'x-li-lang': 'en_US',
-      'x-li-page-instance': 'urn:li:page:d_flagship3_profile_view_base;' + generateUUID(),
-      'x-li-track': JSON.stringify({
-        clientVersion: '1.13.8960',
-        mpVersion: '1.13.8960',
-        osName: 'web',
-        timezoneOffset: new Date().getTimezoneOffset() / -60,
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        deviceFormFactor: 'DESKTOP',
-        mpName: 'voyager-web'
-      }),
-      'x-restli-protocol-version': '2.0.0',
-      ...options.headers
+    const now = new Date();
+    const snapshot = {
+      capturedAt: now.toISOString(),
+      date: toDateKey(now),
+      source: source,
+      ...metrics
     };
 
-    const response = await fetch(`https://www.linkedin.com${endpoint}`, {
-      method: options.method || 'GET',
-      headers: headers,
-      credentials: 'include'
-    });
+    // Skip if nothing changed since the last snapshot of the same day
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.date === snapshot.date &&
+        Object.keys(metrics).every(metric => last[metric] === metrics[metric])) {
+      return { success: true, recorded: false };
+    }
 
-    if (!response.ok) {
-      console.error(`[ServiceWorker] API error: ${response.status} for ${endpoint}`);
-      return { success: false, error: `HTTP ${response.status}` };
+    snapshots.push(snapshot);
+    if (snapshots.length > MAX_METRIC_SNAPSHOTS) {
+      snapshots.splice(0, snapshots.length - MAX_METRIC_SNAPSHOTS);
     }
 
-    const data = await response.json();
-    return { success: true, data: data, raw: data };
+    await saveToStorage(STORAGE_KEYS.METRIC_SNAPSHOTS, {
+      snapshots: snapshots,
+      totalCount: snapshots.length,
+      lastUpdated: snapshot.capturedAt
+    });
+
+    return { success: true, recorded: true, snapshot };
   } catch (error) {
-    console.error('[ServiceWorker] API fetch error:', error);
+    console.error('[ServiceWorker] Error recording metric snapshot:', error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Generate UUID for LinkedIn tracking
+ * Format a date as a local YYYY-MM-DD key
  */
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
- * Parse LinkedIn normalized response to extract entities
+ * Get raw snapshots, optionally limited to a date range (ISO strings or timestamps)
  */
-function parseLinkedInResponse(data) {
-  const result = {
-    profiles: {},
-    miniProfiles: {},
-    companies: {},
-    connections: [],
-    posts: [],
-    analytics: {}
-  };
+async function getMetricSnapshots(from = null, to = null) {
+  const existing = await getFromStorage(STORAGE_KEYS.METRIC_SNAPSHOTS);
+  if (!existing.success) return existing;
 
-  if (!data) return result;
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
 
-  // Parse included entities
-  if (data.included && Array.isArray(data.included)) {
-    data.included.forEach(item => {
-      const type = item.$type || '';
-      const urn = item.entityUrn || item['*miniProfile'] || '';
+  const snapshots = (existing.data?.snapshots || []).filter(s => {
+    const time = new Date(s.capturedAt).getTime();
+    return time >= fromTime && time <= toTime;
+  });
 
-      // Profiles
-      if (type.includes('Profile') && !type.includes('MiniProfile')) {
-        result.profiles[urn] = item;
-      }
+  return { success: true, data: snapshots };
+}
 
-      // Mini Profiles
-      if (type.includes('MiniProfile')) {
-        result.miniProfiles[urn] = item;
-      }
+/**
+ * Get a daily series for one metric (last known value of each day)
+ */
+async function getMetricSeries(metric, days = 30) {
+  if (!SNAPSHOT_METRICS.includes(metric)) {
+    return { success: false, error: `Unknown metric: ${metric}` };
+  }
 
-      // Companies
-      if (type.includes('Company') || type.includes('Organization')) {
-        result.companies[urn] = item;
-      }
+  const since = Date.now() - days * 86400000;
+  const result = await getMetricSnapshots(since);
+  if (!result.success) return result;
 
-      // Connections
-      if (type.includes('Connection')) {
-        result.connections.push(item);
-      }
+  const byDay = new Map();
+  result.data.forEach(s => {
+    if (s[metric] !== undefined) {
+      byDay.set(s.date, s[metric]);
+    }
+  });
 
-      // Posts/Activities
-      if (type.includes('Update') || type.includes('Activity') || type.includes('Share')) {
-        result.posts.push(item);
+  return {
+    success: true,
+    metric: metric,
+    data: Array.from(byDay.entries()).map(([date, value]) => ({ date, value }))
+  };
+}
+
+/**
+ * Compare the latest value in the current period with the latest value
+ * in the period before it (e.g. views this week vs last week)
+ */
+function calculateMetricDelta(snapshots, metric, days) {
+  const now = Date.now();
+  const periodMs = days * 86400000;
+
+  const latestIn = (start, end) => {
+    let match = null;
+    snapshots.forEach(s => {
+      const time = new Date(s.capturedAt).getTime();
+      if (s[metric] !== undefined && time > start && time <= end) {
+        match = s;
       }
     });
-  }
+    return match;
+  };
 
-  return result;
+  const current = latestIn(now - periodMs, now);
+  const previous = latestIn(now - 2 * periodMs, now - periodMs);
+
+  const delta = current && previous ? current[metric] - previous[metric] : null;
+
+  return {
+    current: current ? current[metric] : null,
+    previous: previous ? previous[metric] : null,
+    delta: delta,
+    percentChange: delta !== null && previous[metric] !== 0
+      ? ((delta / previous[metric]) * 100).toFixed(1)
+      : null
+  };
 }
 
 /**
- * Fetch current user's member URN (needed for other API calls)
+ * Get current vs previous period deltas for every tracked metric
  */
-async function fetchMemberUrn() {
-  const result = await fetchLinkedInAPI('/voyager/api/me');
+async function getMetricTrends(days = 7) {
+  const result = await getMetricSnapshots(Date.now() - 2 * days * 86400000);
+  if (!result.success) return result;
 
-  if (result.success && result.data) {
-    // Extract member URN from response
-    let memberUrn = null;
-    let publicIdentifier = null;
+  const trends = {};
+  SNAPSHOT_METRICS.forEach(metric => {
+    trends[metric] = calculateMetricDelta(result.data, metric, days);
+  });
 
-    if (result.data.miniProfile) {
-      memberUrn = result.data.miniProfile.entityUrn;
-      publicIdentifier = result.data.miniProfile.publicIdentifier;
-    }
+  return { success: true, days: days, data: trends };
+}
 
-    // Also check included array
-    if (result.data.included) {
-      result.data.included.forEach(item => {
-        if (item.$type?.includes('MiniProfile') && item.entityUrn) {
-          memberUrn = memberUrn || item.entityUrn;
-          publicIdentifier = publicIdentifier || item.publicIdentifier;
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// Datasets that are stored as an object wrapping an array (older versions stored the bare array)
+const WRAPPED_DATASETS = {
+  [STORAGE_KEYS.CONNECTIONS_DATA]: 'connections',
+  [STORAGE_KEYS.FEED_POSTS]: 'posts',
+  [STORAGE_KEYS.MY_POSTS]: 'posts',
+  [STORAGE_KEYS.COMMENTS]: 'comments',
+  [STORAGE_KEYS.POST_ANALYTICS_DATA]: 'posts',
+  [STORAGE_KEYS.FOLLOWERS]: 'followers',
+  [STORAGE_KEYS.TRENDING]: 'topics'
+};
+
+/**
+ * Ordered schema migrations. Each `migrate` is a pure transform of a
+ * { storageKey: value } map, so it applies equally to stored data and to imported exports.
+ * Migrations must be idempotent - an import may replay them on already-current data.
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Wrap bare-array datasets in their container objects',
+    migrate: data => {
+      Object.entries(WRAPPED_DATASETS).forEach(([key, field]) => {
+        if (Array.isArray(data[key])) {
+          data[key] = {
+            [field]: data[key],
+            totalCount: data[key].length,
+            lastUpdated: new Date().toISOString()
+          };
         }
       });
+      return data;
     }
-
-    // Try to extract from plain data
-    if (!memberUrn && result.data.plainId) {
-      memberUrn = `urn:li:fsd_profile:${result.data.plainId}`;
+  },
+  {
+    version: 2,
+    description: 'Drop raw API dumps from the stored profile',
+    migrate: data => {
+      if (data[STORAGE_KEYS.PROFILE_DATA]?.rawData) {
+        const { rawData, ...profile } = data[STORAGE_KEYS.PROFILE_DATA];
+        data[STORAGE_KEYS.PROFILE_DATA] = profile;
+      }
+      return data;
+    }
+  },
+  {
+    version: 3,
+    description: 'Fill in settings added since the first release',
+    migrate: data => {
+      if (data[STORAGE_KEYS.SETTINGS]) {
+        data[STORAGE_KEYS.SETTINGS] = { ...DEFAULT_SETTINGS, ...data[STORAGE_KEYS.SETTINGS] };
+      }
+      return data;
     }
-
-    return { success: true, memberUrn, publicIdentifier, raw: result.data };
   }
+];
 
-  return { success: false, error: 'Could not get member URN' };
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration newer than fromVersion to a copy of a { key: value } map
+ */
+function applyMigrations(data, fromVersion) {
+  return SCHEMA_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((migrated, migration) => migration.migrate(migrated), structuredClone(data));
 }
 
 /**
- * Fetch current user's full profile data (Taplio-style)
+ * Upgrade stored data to the current schema, restoring the previous state on failure
  */
-async function fetchMyProfile() {
-  console.log('[ServiceWorker] Fetching profile...');
+async function runMigrations() {
+  const snapshot = await chrome.storage.local.get(null);
+  const schema = snapshot[STORAGE_KEYS.SCHEMA_VERSION];
+
+  // No version key: a fresh install is already current, existing data predates versioning
+  const hasData = Object.keys(snapshot).length > 0;
+  const fromVersion = schema?.version ?? (hasData ? 0 : CURRENT_SCHEMA_VERSION);
+  const history = schema?.history || [];
+
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    if (!schema) {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SCHEMA_VERSION]: { version: CURRENT_SCHEMA_VERSION, migratedAt: new Date().toISOString(), history }
+      });
+    }
+    return { success: true, fromVersion, toVersion: fromVersion, migrated: false };
+  }
 
-  // First get the member URN
-  const memberData = await fetchMemberUrn();
+  console.log(`[ServiceWorker] Migrating storage schema v${fromVersion} -> v${CURRENT_SCHEMA_VERSION}`);
 
-  // Fetch basic profile from /me endpoint
-  const meResult = await fetchLinkedInAPI('/voyager/api/me');
+  let bulkSnapshot = null;
 
-  if (!meResult.success) {
-    return meResult;
-  }
+  try {
+    const { [STORAGE_KEYS.SCHEMA_VERSION]: _, ...data } = snapshot;
+    const migrated = applyMigrations(data, fromVersion);
 
-  const profile = {
-    extractedAt: new Date().toISOString(),
-    source: 'direct_api'
-  };
+    // Bulk datasets are rewritten in IndexedDB, so keep a copy to roll back to
+    bulkSnapshot = await snapshotStores(Object.values(BULK_DATASETS).map(dataset => dataset.store));
 
-  // Parse the /me response
-  const parsed = parseLinkedInResponse(meResult.data);
+    // Write back only what changed (bulk datasets route to IndexedDB)
+    for (const [key, value] of Object.entries(migrated)) {
+      if (JSON.stringify(value) !== JSON.stringify(data[key])) {
+        const result = await saveToStorage(key, value);
+        if (!result.success) throw new Error(`Failed to write ${key}: ${result.error}`);
+      }
+    }
 
-  // Extract from miniProfile in response
-  if (meResult.data.miniProfile) {
-    const mp = meResult.data.miniProfile;
-    profile.firstName = mp.firstName;
-    profile.lastName = mp.lastName;
-    profile.headline = mp.occupation;
-    profile.publicIdentifier = mp.publicIdentifier;
-    profile.entityUrn = mp.entityUrn;
-    profile.trackingId = mp.trackingId;
-    profile.profilePicture = mp.picture?.rootUrl;
-  }
+    history.push({ from: fromVersion, to: CURRENT_SCHEMA_VERSION, status: 'success', at: new Date().toISOString() });
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SCHEMA_VERSION]: { version: CURRENT_SCHEMA_VERSION, migratedAt: new Date().toISOString(), history }
+    });
 
-  // Extract from included entities
-  Object.values(parsed.miniProfiles).forEach(mp => {
-    if (!profile.firstName) {
-      profile.firstName = mp.firstName;
-      profile.lastName = mp.lastName;
-      profile.headline = mp.occupation;
-      profile.publicIdentifier = mp.publicIdentifier;
-      profile.entityUrn = mp.entityUrn;
+    console.log(`[ServiceWorker] Storage schema is now v${CURRENT_SCHEMA_VERSION}`);
+    return { success: true, fromVersion, toVersion: CURRENT_SCHEMA_VERSION, migrated: true };
+  } catch (error) {
+    console.error('[ServiceWorker] Migration failed, rolling back:', error);
+
+    // Put IndexedDB and chrome.storage.local back exactly as they were. Forget that inline
+    // bulk data was moved, so the restored inline arrays are moved again on next access.
+    if (bulkSnapshot) {
+      try {
+        await restoreStores(bulkSnapshot);
+      } catch (restoreError) {
+        console.error('[ServiceWorker] Failed to restore IndexedDB after migration failure:', restoreError);
+      }
     }
-  });
+    bulkMigrationPromise = null;
 
-  // Get premium subscriber info
-  if (meResult.data.premiumSubscriber !== undefined) {
-    profile.isPremium = meResult.data.premiumSubscriber;
+    await chrome.storage.local.clear();
+    history.push({ from: fromVersion, to: CURRENT_SCHEMA_VERSION, status: 'rolled_back', error: error.message, at: new Date().toISOString() });
+    await chrome.storage.local.set({
+      ...snapshot,
+      [STORAGE_KEYS.SCHEMA_VERSION]: { ...schema, version: fromVersion, history }
+    });
+
+    return { success: false, error: error.message, fromVersion, toVersion: fromVersion };
   }
+}
 
-  // Store memberUrn for other API calls
-  if (memberData.success) {
-    profile.memberUrn = memberData.memberUrn;
-    profile.publicIdentifier = profile.publicIdentifier || memberData.publicIdentifier;
+// ============================================
+// DATA EXPORT
+// ============================================
+
+// Bump the major version when the export layout changes incompatibly
+const EXPORT_FORMAT_VERSION = '1.0.0';
+
+/**
+ * Export data as JSON, optionally leaving out some storage keys
+ */
+async function exportAsJSON(excludedKeys = []) {
+  const allData = await getAllStoredData();
+  if (!allData.success) {
+    return { success: false, error: allData.error };
   }
+  excludedKeys.forEach(key => delete allData.data[key]);
 
-  // Fetch connections count from working endpoint
-  const connSummary = await fetchLinkedInAPI('/voyager/api/relationships/connectionsSummary');
-  if (connSummary.success && connSummary.data) {
-    const summaryData = connSummary.data.data || connSummary.data;
-    profile.connectionsCount = summaryData.numConnections;
-    profile.numConnections = summaryData.numConnections;
+  // The webhook signing secret stays on this install; a new one is generated after import
+  if (allData.data[STORAGE_KEYS.SETTINGS]) {
+    const { webhookSecret, ...settings } = allData.data[STORAGE_KEYS.SETTINGS];
+    allData.data[STORAGE_KEYS.SETTINGS] = settings;
   }
 
-  // Store raw data for debugging
-  profile.rawData = meResult.data;
+  const exportData = {
+    exportedAt: new Date().toISOString(),
+    version: EXPORT_FORMAT_VERSION,           // Export file layout
+    schemaVersion: CURRENT_SCHEMA_VERSION,    // Shape of the datasets inside `data`
+    extensionVersion: chrome.runtime.getManifest().version,
+    data: allData.data
+  };
 
-  await saveToStorage(STORAGE_KEYS.PROFILE_DATA, profile);
-  console.log('[ServiceWorker] Profile fetched:', profile.firstName, profile.lastName);
+  return {
+    success: true,
+    content: JSON.stringify(exportData, null, 2),
+    filename: `linkedin-data-${Date.now()}.json`
+  };
+}
 
-  return { success: true, data: profile };
+// Where each dataset keeps its rows (null = the stored value is the array itself)
+const EXPORT_DATASETS = {
+  [STORAGE_KEYS.CONNECTIONS_DATA]: { label: 'Connections', rowPath: 'connections' },
+  [STORAGE_KEYS.CONNECTION_CHANGES]: { label: 'Connection changes', rowPath: 'changes' },
+  [STORAGE_KEYS.FEED_POSTS]: { label: 'Feed posts', rowPath: 'posts' },
+  [STORAGE_KEYS.MY_POSTS]: { label: 'My posts', rowPath: 'posts' },
+  [STORAGE_KEYS.COMMENTS]: { label: 'Comments', rowPath: 'comments' },
+  [STORAGE_KEYS.POST_ANALYTICS_DATA]: { label: 'Post analytics', rowPath: 'posts' },
+  [STORAGE_KEYS.FOLLOWERS]: { label: 'Followers', rowPath: 'followers' },
+  [STORAGE_KEYS.METRIC_SNAPSHOTS]: { label: 'Metric history', rowPath: 'snapshots' },
+  [STORAGE_KEYS.CAPTURED_APIS]: { label: 'Captured API calls', rowPath: null }
+};
+
+const CSV_MAX_DEPTH = 4; // Deeper objects are written as JSON
+
+/**
+ * One CSV cell: always quoted, embedded quotes doubled (used by every CSV export)
+ */
+function csvCell(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
 }
 
 /**
- * Fetch profile analytics (FIXED - using only working endpoints)
+ * Get the row array of a stored dataset, whether wrapped or bare
  */
-async function fetchAnalytics() {
-  console.log('[ServiceWorker] Fetching analytics...');
+function getDatasetRows(dataKey, data) {
+  if (Array.isArray(data)) return data;
 
-  const analytics = {
-    extractedAt: new Date().toISOString(),
-    source: 'direct_api'
-  };
+  const rowPath = EXPORT_DATASETS[dataKey]?.rowPath;
+  if (rowPath && Array.isArray(data?.[rowPath])) return data[rowPath];
 
-  // Fetch WVMP cards (Who Viewed My Profile) - THIS ENDPOINT WORKS
-  const wvmpResult = await fetchLinkedInAPI('/voyager/api/identity/wvmpCards');
+  // Unknown single-object datasets (profile, analytics, ...) export as one row
+  return data && typeof data === 'object' ? [data] : [];
+}
 
-  if (wvmpResult.success && wvmpResult.data) {
-    // Parse WVMP data - check both data.data and data directly
-    const wvmpData = wvmpResult.data.data || wvmpResult.data;
+/**
+ * Flatten a record into dot-path columns, e.g. { author: { name } } -> "author.name"
+ * Arrays of plain values are joined; arrays of objects are kept as JSON.
+ */
+function flattenRecord(value, prefix = '', out = {}, depth = 0) {
+  if (value === null || value === undefined) {
+    if (prefix) out[prefix] = '';
+    return out;
+  }
 
-    if (wvmpData.elements) {
-      wvmpData.elements.forEach(element => {
-        // Profile views
-        if (element.numViews !== undefined) {
-          analytics.profileViews = element.numViews;
-        }
-        if (element.insightCards) {
-          element.insightCards.forEach(card => {
-            if (card.numViews !== undefined) {
-              analytics.profileViews = card.numViews;
-            }
-          });
-        }
-      });
-    }
+  if (Array.isArray(value)) {
+    const isPlain = value.every(item => item === null || typeof item !== 'object');
+    out[prefix] = isPlain ? value.join('; ') : JSON.stringify(value);
+    return out;
+  }
 
-    // Parse included for viewer details
-    const included = wvmpResult.data.included || [];
-    analytics.recentViewers = [];
+  if (typeof value === 'object' && depth < CSV_MAX_DEPTH) {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) out[prefix] = '';
+    entries.forEach(([key, nested]) => {
+      flattenRecord(nested, prefix ? `${prefix}.${key}` : key, out, depth + 1);
+    });
+    return out;
+  }
 
-    included.forEach(item => {
-      if (item.$type?.includes('MiniProfile') || item.$type?.includes('Profile')) {
-        if (item.firstName) {
-          analytics.recentViewers.push({
-            firstName: item.firstName,
-            lastName: item.lastName,
-            headline: item.occupation || item.headline,
-            publicIdentifier: item.publicIdentifier
-          });
-        }
+  out[prefix || 'value'] = typeof value === 'object' ? JSON.stringify(value) : value;
+  return out;
+}
+
+/**
+ * Build CSV text from records (columns in first-seen order)
+ */
+function recordsToCSV(records) {
+  const rows = records.map(record => flattenRecord(record));
+
+  const headers = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
       }
     });
-  }
+  });
 
-  // Fetch connections count from working endpoint
-  const connSummary = await fetchConnectionsSummary();
-  if (connSummary.success && connSummary.data) {
-    analytics.connectionsCount = connSummary.data.numConnections;
+  const csvRows = [headers.map(csvCell).join(',')];
+  rows.forEach(row => {
+    csvRows.push(headers.map(header => csvCell(row[header])).join(','));
+  });
+
+  return csvRows.join('\n');
+}
+
+/**
+ * Export one dataset as CSV
+ */
+async function exportAsCSV(dataKey = STORAGE_KEYS.CONNECTIONS_DATA) {
+  const result = await getFromStorage(dataKey);
+  if (!result.success || !result.data) {
+    return { success: false, error: 'No data to export' };
   }
 
-  await saveToStorage(STORAGE_KEYS.ANALYTICS_DATA, analytics);
-  console.log('[ServiceWorker] Analytics fetched:', analytics.profileViews, 'views,', analytics.connectionsCount, 'connections');
+  const rows = getDatasetRows(dataKey, result.data);
+  if (rows.length === 0) {
+    return { success: false, error: 'No data to export' };
+  }
 
-  return { success: true, data: analytics };
+  return {
+    success: true,
+    content: recordsToCSV(rows),
+    rowCount: rows.length,
+    filename: `linkedin-${dataKey}-${Date.now()}.csv`
+  };
 }
 
 /**
- * Fetch connection summary (count) - FIXED
+ * Type a flattened value for a spreadsheet cell (ISO strings and epoch ms *At fields become dates)
  */
-async function fetchConnectionsSummary() {
-  // Use the working endpoint
-  const result = await fetchLinkedInAPI('/voyager/api/relationships/connectionsSummary');
+function toTypedCell(column, value) {
+  if (value === '' || value === null || value === undefined) return null;
 
-  if (result.success && result.data) {
-    // Data is nested under result.data.data
-    const summaryData = result.data.data || result.data;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date;
+  }
 
-    return {
-      success: true,
-      data: {
-        numConnections: summaryData.numConnections || 0,
-        entityUrn: summaryData.entityUrn
-      },
-      raw: result.data
-    };
+  if (typeof value === 'number' && value > 1e11 && /(At|Date|time|Time)$/.test(column)) {
+    return new Date(value);
   }
 
-  return result;
+  return value;
 }
 
 /**
- * Fetch detailed connections list (Taplio-style) - FIXED for normalized response format
+ * Turn records into a sheet: flattened columns, typed cells
  */
-async function fetchConnections(start = 0, count = 40) {
-  console.log(`[ServiceWorker] Fetching connections: start=${start}, count=${count}`);
-
-  // Use the proper LinkedIn connections endpoint with decoration
-  const connectionsEndpoint = `/voyager/api/relationships/dash/connections?decorationId=${DECORATION_IDS.CONNECTIONS_LIST}&count=${count}&q=search&sortType=RECENTLY_ADDED&start=${start}`;
+function recordsToSheet(name, records) {
+  const flattened = records.map(record => flattenRecord(record));
+
+  const headers = [];
+  const seen = new Set();
+  flattened.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
 
-  const result = await fetchLinkedInAPI(connectionsEndpoint);
+  return {
+    name: name,
+    headers: headers,
+    rows: flattened.map(row => headers.map(header => toTypedCell(header, row[header])))
+  };
+}
 
-  if (result.success && result.data) {
-    const connectionsData = {
-      extractedAt: new Date().toISOString(),
-      source: 'direct_api',
-      connections: [],
-      paging: result.data.data?.paging || result.data.paging || { start, count }
+/**
+ * Export the main datasets as an Excel workbook, one sheet per dataset
+ */
+async function exportAsXLSX() {
+  try {
+    const keys = [
+      STORAGE_KEYS.PROFILE_DATA,
+      STORAGE_KEYS.FULL_PROFILE,
+      STORAGE_KEYS.ANALYTICS_DATA,
+      STORAGE_KEYS.CONNECTIONS_DATA,
+      STORAGE_KEYS.FEED_POSTS,
+      STORAGE_KEYS.MY_POSTS,
+      STORAGE_KEYS.POST_ANALYTICS_DATA,
+      STORAGE_KEYS.COMMENTS,
+      STORAGE_KEYS.FOLLOWERS
+    ];
+    const results = await Promise.all(keys.map(key => getFromStorage(key)));
+    const data = Object.fromEntries(keys.map((key, i) => [key, results[i].data]));
+
+    // Profile is a single record - write it as Field/Value pairs
+    const { positions, education, skills, certifications, languages, featured, ...fullProfileFields } =
+      data[STORAGE_KEYS.FULL_PROFILE] || {};
+    const profileFields = flattenRecord({ ...data[STORAGE_KEYS.PROFILE_DATA], ...fullProfileFields });
+    const profileSheet = {
+      name: 'Profile',
+      headers: ['Field', 'Value'],
+      rows: Object.entries(profileFields).map(([field, value]) => [field, toTypedCell(field, value)])
     };
 
-    // NORMALIZED RESPONSE FORMAT (with accept: application/vnd.linkedin.normalized+json+2.1):
-    // - Data is in result.data.included[] array
-    // - Connection objects have $type: "com.linkedin.voyager.dash.relationships.Connection"
-    // - Profile objects have $type: "com.linkedin.voyager.dash.identity.profile.Profile"
-    // - Connections reference profiles via "*connectedMemberResolutionResult"
+    const rowsOf = key => (data[key] ? getDatasetRows(key, data[key]) : []);
 
-    const included = result.data.included || [];
+    const sheets = [
+      profileSheet,
+      recordsToSheet('Connections', rowsOf(STORAGE_KEYS.CONNECTIONS_DATA)),
+      recordsToSheet('Feed Posts', rowsOf(STORAGE_KEYS.FEED_POSTS)),
+      recordsToSheet('My Posts', rowsOf(STORAGE_KEYS.MY_POSTS)),
+      recordsToSheet('Post Analytics', rowsOf(STORAGE_KEYS.POST_ANALYTICS_DATA)),
+      recordsToSheet('Comments', rowsOf(STORAGE_KEYS.COMMENTS)),
+      recordsToSheet('Followers', rowsOf(STORAGE_KEYS.FOLLOWERS)),
+      recordsToSheet('Viewers', data[STORAGE_KEYS.ANALYTICS_DATA]?.recentViewers || [])
+    ];
 
-    // Separate connections and profiles
-    const connectionObjects = included.filter(item =>
-      item.$type === 'com.linkedin.voyager.dash.relationships.Connection'
-    );
+    const workbook = await createWorkbook(sheets);
 
-    const profileObjects = included.filter(item =>
-      item.$type === 'com.linkedin.voyager.dash.identity.profile.Profile'
-    );
+    return {
+      success: true,
+      content: bytesToBase64(workbook),
+      encoding: 'base64',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename: `linkedin-data-${Date.now()}.xlsx`
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] XLSX export error:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    // Build profile map by entityUrn
-    const profileMap = {};
-    profileObjects.forEach(profile => {
-      if (profile.entityUrn) {
-        profileMap[profile.entityUrn] = profile;
-      }
+/**
+ * Escape a vCard property value (RFC 6350 section 3.4)
+ */
+function escapeVCardValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Fold a content line to 75 characters, continuing with a leading space
+ */
+function foldVCardLine(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(' ' + line.slice(i, i + 74));
+  }
+  return parts.join('\r\n');
+}
+
+/**
+ * Build one vCard 3.0 for a connection
+ */
+function connectionToVCard(connection) {
+  const firstName = connection.firstName || '';
+  const lastName = connection.lastName || '';
+  const fullName = connection.fullName || `${firstName} ${lastName}`.trim() || connection.publicIdentifier;
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeVCardValue(lastName)};${escapeVCardValue(firstName)};;;`,
+    `FN:${escapeVCardValue(fullName)}`
+  ];
+  if (connection.headline) lines.push(`TITLE:${escapeVCardValue(connection.headline)}`);
+  if (connection.company) lines.push(`ORG:${escapeVCardValue(connection.company)}`);
+  if (connection.profileUrl) lines.push(`URL:${connection.profileUrl}`);
+  if (connection.profilePicture) lines.push(`PHOTO;VALUE=URI:${connection.profilePicture}`);
+  if (connection.entityUrn) lines.push(`UID:${connection.entityUrn}`);
+  lines.push('END:VCARD');
+
+  return lines.map(foldVCardLine).join('\r\n');
+}
+
+/**
+ * Stored connections, optionally limited to the given keys (e.g. the popup's search results)
+ */
+async function selectConnections(connectionKeys = null) {
+  const result = await getFromStorage(STORAGE_KEYS.CONNECTIONS_DATA);
+  const connections = result.data?.connections || [];
+  if (!Array.isArray(connectionKeys)) return connections;
+
+  const wanted = new Set(connectionKeys);
+  const keyOf = BULK_DATASETS[STORAGE_KEYS.CONNECTIONS_DATA].keyOf;
+  return connections.filter(connection => wanted.has(keyOf(connection)));
+}
+
+/**
+ * Export connections as a .vcf address book
+ */
+async function exportAsVCard(connectionKeys = null) {
+  const connections = await selectConnections(connectionKeys);
+
+  if (connections.length === 0) {
+    return { success: false, error: 'No connections to export' };
+  }
+
+  return {
+    success: true,
+    content: connections.map(connectionToVCard).join('\r\n') + '\r\n',
+    rowCount: connections.length,
+    mimeType: 'text/vcard',
+    filename: `linkedin-connections-${Date.now()}.vcf`
+  };
+}
+
+/**
+ * Export a subset of connections as CSV or JSON with only the chosen columns
+ * columns are flattened paths (e.g. "fullName", "headline"); all columns when omitted.
+ */
+async function exportConnectionSelection({ connectionKeys = null, format = 'csv', columns = null } = {}) {
+  const connections = await selectConnections(connectionKeys);
+  if (connections.length === 0) {
+    return { success: false, error: 'No connections to export' };
+  }
+
+  const rows = connections.map(connection => {
+    const flat = flattenRecord(connection);
+    if (!Array.isArray(columns) || columns.length === 0) return flat;
+    return Object.fromEntries(columns.map(column => [column, flat[column] ?? '']));
+  });
+
+  const timestamp = Date.now();
+  if (format === 'json') {
+    return {
+      success: true,
+      content: JSON.stringify(rows, null, 2),
+      rowCount: rows.length,
+      mimeType: 'application/json',
+      filename: `linkedin-connections-selection-${timestamp}.json`
+    };
+  }
+
+  return {
+    success: true,
+    content: recordsToCSV(rows),
+    rowCount: rows.length,
+    mimeType: 'text/csv',
+    filename: `linkedin-connections-selection-${timestamp}.csv`
+  };
+}
+
+// Built-in CRM import layouts. Each column takes the first non-empty connection field,
+// or a fixed value; format 'date' writes YYYY-MM-DD. Users can override any preset
+// (or add their own) - overrides live in settings.crmPresets.
+const CRM_PRESETS = {
+  hubspot: {
+    label: 'HubSpot',
+    columns: [
+      { header: 'First Name', fields: ['firstName'] },
+      { header: 'Last Name', fields: ['lastName'] },
+      { header: 'Job Title', fields: ['position', 'headline'] },
+      { header: 'Company Name', fields: ['company'] },
+      { header: 'Industry', fields: ['industry'] },
+      { header: 'City', fields: ['locationName'] },
+      { header: 'LinkedIn URL', fields: ['profileUrl'] },
+      { header: 'Lead Source', value: 'LinkedIn' }
+    ]
+  },
+  salesforce: {
+    label: 'Salesforce',
+    columns: [
+      { header: 'First Name', fields: ['firstName'] },
+      { header: 'Last Name', fields: ['lastName'] },
+      { header: 'Title', fields: ['position', 'headline'] },
+      { header: 'Company', fields: ['company'] },
+      { header: 'Industry', fields: ['industry'] },
+      { header: 'City', fields: ['locationName'] },
+      { header: 'Website', fields: ['profileUrl'] },
+      { header: 'Lead Source', value: 'LinkedIn' },
+      { header: 'Description', fields: ['headline'] }
+    ]
+  },
+  pipedrive: {
+    label: 'Pipedrive',
+    columns: [
+      { header: 'Person - Name', fields: ['fullName'] },
+      { header: 'Person - First name', fields: ['firstName'] },
+      { header: 'Person - Last name', fields: ['lastName'] },
+      { header: 'Person - Job title', fields: ['position', 'headline'] },
+      { header: 'Organization - Name', fields: ['company'] },
+      { header: 'Person - LinkedIn', fields: ['profileUrl'] },
+      { header: 'Person - Connected on', fields: ['connectedAt'], format: 'date' },
+      { header: 'Person - Source', value: 'LinkedIn' }
+    ]
+  }
+};
+
+/**
+ * Built-in presets with the user's overrides and custom presets on top
+ */
+async function getCRMPresets() {
+  const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  return {
+    success: true,
+    data: { ...CRM_PRESETS, ...settings.data?.crmPresets },
+    builtIn: Object.keys(CRM_PRESETS)
+  };
+}
+
+/**
+ * Save a preset mapping (pass preset = null to drop an override / delete a custom preset)
+ */
+async function saveCRMPreset(presetId, preset) {
+  if (!presetId) {
+    return { success: false, error: 'Preset id is required' };
+  }
+  if (preset && (!Array.isArray(preset.columns) || preset.columns.some(column => !column.header))) {
+    return { success: false, error: 'Every column needs a header' };
+  }
+
+  const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const crmPresets = { ...settings.data?.crmPresets };
+  if (preset) {
+    crmPresets[presetId] = { label: preset.label || CRM_PRESETS[presetId]?.label || presetId, columns: preset.columns };
+  } else {
+    delete crmPresets[presetId];
+  }
+
+  const result = await updateSettings({ crmPresets });
+  if (!result.success) return result;
+  return getCRMPresets();
+}
+
+/**
+ * Value of one CRM column for a connection
+ */
+function getCRMColumnValue(connection, column) {
+  if (column.value !== undefined) return column.value;
+
+  // Split names for connections that only carry a full name
+  const [first, ...rest] = (connection.fullName || '').split(' ');
+  const derived = { firstName: first, lastName: rest.join(' ') };
+
+  const flat = flattenRecord(connection);
+  const field = (column.fields || []).find(name => {
+    const value = flat[name] ?? derived[name];
+    return value !== undefined && value !== null && value !== '';
+  });
+  if (!field) return '';
+
+  const value = flat[field] ?? derived[field];
+  if (column.format === 'date') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+  }
+  return value;
+}
+
+/**
+ * Export connections as a CSV laid out for a CRM importer
+ */
+async function exportAsCRM(presetId, connectionKeys = null) {
+  const presets = await getCRMPresets();
+  const preset = presets.data[presetId];
+  if (!preset) {
+    return { success: false, error: `Unknown CRM preset: ${presetId}` };
+  }
+
+  const connections = await selectConnections(connectionKeys);
+  if (connections.length === 0) {
+    return { success: false, error: 'No connections to export' };
+  }
+
+  const lines = [preset.columns.map(column => csvCell(column.header)).join(',')];
+  connections.forEach(connection => {
+    lines.push(preset.columns.map(column => csvCell(getCRMColumnValue(connection, column))).join(','));
+  });
+
+  return {
+    success: true,
+    content: lines.join('\n'),
+    rowCount: connections.length,
+    mimeType: 'text/csv',
+    filename: `linkedin-${presetId}-import-${Date.now()}.csv`
+  };
+}
+
+/**
+ * Export a standalone HTML report (inline CSS and SVG charts, no external assets)
+ */
+async function exportAsHTMLReport() {
+  try {
+    const keys = [
+      STORAGE_KEYS.PROFILE_DATA,
+      STORAGE_KEYS.ANALYTICS_DATA,
+      STORAGE_KEYS.POST_ANALYTICS_DATA,
+      STORAGE_KEYS.AUDIENCE_DATA,
+      STORAGE_KEYS.FEED_POSTS,
+      STORAGE_KEYS.CONNECTIONS_DATA
+    ];
+    const results = await Promise.all(keys.map(key => getFromStorage(key)));
+    const data = Object.fromEntries(keys.map((key, i) => [key, results[i].data]));
+
+    const trends = await getMetricTrends(7);
+    const seriesMetrics = ['impressions', 'profileViews', 'followerCount'];
+    const series = await Promise.all(seriesMetrics.map(metric => getMetricSeries(metric, 30)));
+
+    const html = createReport({
+      profile: data[STORAGE_KEYS.PROFILE_DATA],
+      analytics: data[STORAGE_KEYS.ANALYTICS_DATA],
+      postAnalytics: data[STORAGE_KEYS.POST_ANALYTICS_DATA],
+      audience: data[STORAGE_KEYS.AUDIENCE_DATA],
+      // Recompute from the posts so reports also work for data imported without stats
+      feedStats: calculateFeedStats(data[STORAGE_KEYS.FEED_POSTS]?.posts || []),
+      connections: data[STORAGE_KEYS.CONNECTIONS_DATA]?.connections || [],
+      trends: trends.success ? trends.data : {},
+      series: Object.fromEntries(seriesMetrics.map((metric, i) => [metric, series[i].success ? series[i].data : []])),
+      generatedAt: new Date()
     });
 
-    console.log(`[ServiceWorker] Found ${connectionObjects.length} connections and ${profileObjects.length} profiles in included array`);
+    return {
+      success: true,
+      content: html,
+      mimeType: 'text/html',
+      filename: `linkedin-report-${new Date().toISOString().slice(0, 10)}.html`
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] HTML report error:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    // Process each connection object
-    connectionObjects.forEach(conn => {
-      // Get the profile URN from the connection (note: asterisk prefix in key name)
-      const profileUrn = conn['*connectedMemberResolutionResult'] || conn.connectedMember;
-      const profile = profileMap[profileUrn];
+/**
+ * Export posts and connections as a zip of Markdown notes (Obsidian vault)
+ */
+async function exportAsMarkdownVault() {
+  try {
+    const keys = [
+      STORAGE_KEYS.PROFILE_DATA,
+      STORAGE_KEYS.MY_POSTS,
+      STORAGE_KEYS.FEED_POSTS,
+      STORAGE_KEYS.CONNECTIONS_DATA
+    ];
+    const results = await Promise.all(keys.map(key => getFromStorage(key)));
+    const data = Object.fromEntries(keys.map((key, i) => [key, results[i].data]));
+
+    const files = createVaultFiles({
+      profile: data[STORAGE_KEYS.PROFILE_DATA],
+      myPosts: data[STORAGE_KEYS.MY_POSTS]?.posts || [],
+      feedPosts: data[STORAGE_KEYS.FEED_POSTS]?.posts || [],
+      connections: data[STORAGE_KEYS.CONNECTIONS_DATA]?.connections || []
+    });
 
-      const connection = {
-        connectionUrn: conn.entityUrn,
-        connectedMember: conn.connectedMember
-      };
+    // Nest everything under one folder so the zip unpacks into a single vault directory
+    const archive = await createZip(files.map(file => ({ name: `LinkedIn/${file.name}`, content: file.content })));
 
-      if (profile) {
-        connection.firstName = profile.firstName;
-        connection.lastName = profile.lastName;
-        connection.fullName = `${profile.firstName || ''} ${profile.lastName || ''}`.trim();
-        connection.headline = profile.headline;
-        connection.publicIdentifier = profile.publicIdentifier;
-        connection.entityUrn = profile.entityUrn;
-        connection.profileUrl = profile.publicIdentifier ?
-          `https://www.linkedin.com/in/${profile.publicIdentifier}` : null;
-        connection.memorialized = profile.memorialized || false;
+    return {
+      success: true,
+      content: bytesToBase64(archive),
+      encoding: 'base64',
+      mimeType: 'application/zip',
+      rowCount: files.length,
+      filename: `linkedin-vault-${Date.now()}.zip`
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Markdown export error:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-        // Get profile picture
-        if (profile.profilePicture?.displayImageReference?.vectorImage) {
-          const img = profile.profilePicture.displayImageReference.vectorImage;
-          const artifact = img.artifacts?.[0]?.fileIdentifyingUrlPathSegment || '';
-          connection.profilePicture = img.rootUrl ? (img.rootUrl + artifact) : null;
-        } else if (profile.profilePicture?.displayImageUrn) {
-          connection.profilePictureUrn = profile.profilePicture.displayImageUrn;
-        }
-      }
+/**
+ * Epoch ms / ISO string to an ISO timestamp (null when unknown)
+ */
+function toISOTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
 
-      // Only add if we have profile data
-      if (connection.firstName || connection.publicIdentifier) {
-        connectionsData.connections.push(connection);
-      }
+/**
+ * Normalized tables for the SQLite export
+ * URN columns link rows across tables; a reference is only set when the target row exists.
+ */
+function buildSQLiteTables(data) {
+  const publicIdOf = url => String(url || '').match(/\/in\/([^/?#]+)/)?.[1] || null;
+  const activityIdOf = urn => String(urn || '').match(/activity:(\d+)/)?.[1] || null;
+  const number = value => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  // Keep the first row per key - text primary keys must be unique and non-null
+  const uniqueRows = rows => {
+    const seen = new Set();
+    return rows.filter(row => row[0] && !seen.has(row[0]) && seen.add(row[0]));
+  };
+
+  // connections
+  const connectionKeyOf = BULK_DATASETS[STORAGE_KEYS.CONNECTIONS_DATA].keyOf;
+  const connections = data[STORAGE_KEYS.CONNECTIONS_DATA]?.connections || [];
+  const connectionByPublicId = new Map();
+  const connectionRows = uniqueRows(connections.map(c => [
+    connectionKeyOf(c), c.publicIdentifier, c.firstName, c.lastName, c.fullName, c.headline,
+    c.position, c.company, c.companyUrn, c.industry, c.locationName, c.profileUrl, c.profilePicture,
+    toISOTimestamp(c.connectedAt)
+  ]));
+  connectionRows.forEach(row => {
+    if (row[1]) connectionByPublicId.set(row[1], row[0]);
+  });
+  const connectionUrnOf = publicIdentifier => connectionByPublicId.get(publicIdentifier) || null;
+
+  // posts (yours first, so they win over the same post seen in the feed) and hashtags
+  const myPosts = (data[STORAGE_KEYS.MY_POSTS]?.posts || []).map(post => ({ ...post, source: 'own' }));
+  const feedPosts = (data[STORAGE_KEYS.FEED_POSTS]?.posts || []).map(post => ({ ...post, source: 'feed' }));
+  const postRows = uniqueRows([...myPosts, ...feedPosts].map(post => [
+    post.urn, post.source, post.author?.name, post.author?.headline, post.author?.profileUrl,
+    connectionUrnOf(publicIdOf(post.author?.profileUrl)), post.text, post.type,
+    toISOTimestamp(post.postedAt), toISOTimestamp(post.extractedAt),
+    number(post.engagement?.likes), number(post.engagement?.comments), number(post.engagement?.shares),
+    number(post.engagementScore), number(post.analytics?.impressions), number(post.analytics?.clicks),
+    number(post.analytics?.engagementRate), post.url
+  ]));
+  const postUrns = new Set(postRows.map(row => row[0]));
+  const postUrnByActivity = new Map();
+  postRows.forEach(row => {
+    const activityId = activityIdOf(row[0]);
+    if (activityId && !postUrnByActivity.has(activityId)) postUrnByActivity.set(activityId, row[0]);
+  });
+  const postUrnOf = urn => (postUrns.has(urn) ? urn : postUrnByActivity.get(activityIdOf(urn)) || null);
+
+  const hashtagRows = [];
+  [...myPosts, ...feedPosts].forEach(post => {
+    if (!postUrns.has(post.urn)) return;
+    new Set((post.hashtags || []).map(tag => String(tag).replace(/^#/, '').toLowerCase()))
+      .forEach(tag => hashtagRows.push([post.urn, tag]));
+  });
+
+  // post analytics and their viewer demographics
+  const analyticsPosts = data[STORAGE_KEYS.POST_ANALYTICS_DATA]?.posts || [];
+  const postAnalyticsRows = uniqueRows(analyticsPosts.map(post => [
+    post.activityUrn, postUrnOf(post.activityUrn), post.postText || post.postContent, post.postAge,
+    number(post.discovery?.impressions ?? post.impressions),
+    number(post.discovery?.membersReached ?? post.membersReached),
+    number(post.socialEngagement?.reactions ?? post.engagement?.reactions),
+    number(post.socialEngagement?.comments ?? post.engagement?.comments),
+    number(post.socialEngagement?.reposts ?? post.engagement?.reposts),
+    number(post.profileActivity?.profileViewers ?? post.profileViewers),
+    number(post.followersGained), number(post.engagementRate), toISOTimestamp(post.extractedAt)
+  ]));
+  const pendingDemographics = new Set(postAnalyticsRows.map(row => row[0]));
+  const demographicRows = [];
+  analyticsPosts.forEach(post => {
+    // Only the copy that made it into post_analytics contributes
+    if (!pendingDemographics.delete(post.activityUrn)) return;
+    (post.demographics || []).forEach(d => demographicRows.push([post.activityUrn, d.type, d.value, number(d.percentage)]));
+  });
+
+  // comments
+  const commentRows = uniqueRows((data[STORAGE_KEYS.COMMENTS]?.comments || []).map(comment => [
+    comment.urn, postUrnOf(comment.postUrn), comment.postUrn, comment.author?.name, comment.author?.headline,
+    comment.author?.profileUrl, connectionUrnOf(publicIdOf(comment.author?.profileUrl)), comment.text,
+    number(comment.likes), toISOTimestamp(comment.createdAt), toISOTimestamp(comment.extractedAt)
+  ]));
+
+  // followers
+  const followerRows = (data[STORAGE_KEYS.FOLLOWERS]?.followers || []).map((follower, i) => [
+    i + 1, follower.entityUrn, follower.publicIdentifier, follower.name, follower.headline,
+    follower.profileUrl, connectionUrnOf(follower.publicIdentifier), toISOTimestamp(follower.extractedAt)
+  ]);
+
+  // profile viewers
+  const viewerRows = (data[STORAGE_KEYS.ANALYTICS_DATA]?.recentViewers || []).map((viewer, i) => [
+    i + 1, viewer.firstName, viewer.lastName, viewer.headline, viewer.publicIdentifier,
+    connectionUrnOf(viewer.publicIdentifier)
+  ]);
+
+  // metric snapshots
+  const snapshotRows = (data[STORAGE_KEYS.METRIC_SNAPSHOTS]?.snapshots || []).map((s, i) => [
+    i + 1, s.capturedAt, s.date, s.source,
+    ...SNAPSHOT_METRICS.map(metric => number(s[metric]))
+  ]);
+
+  const text = name => ({ name, type: 'TEXT' });
+  const integer = name => ({ name, type: 'INTEGER' });
+  const real = name => ({ name, type: 'REAL' });
+  const ref = (name, target) => ({ name, type: 'TEXT', references: target });
+
+  return [
+    {
+      name: 'connections',
+      columns: [
+        { name: 'urn', type: 'TEXT', primaryKey: true }, text('public_identifier'), text('first_name'),
+        text('last_name'), text('full_name'), text('headline'), text('position'), text('company'),
+        text('company_urn'), text('industry'), text('location'), text('profile_url'), text('profile_picture'),
+        text('connected_at')
+      ],
+      rows: connectionRows
+    },
+    {
+      name: 'posts',
+      columns: [
+        { name: 'urn', type: 'TEXT', primaryKey: true }, text('source'), text('author_name'), text('author_headline'),
+        text('author_profile_url'), ref('author_connection_urn', 'connections.urn'), text('text'), text('type'),
+        text('posted_at'), text('captured_at'), integer('likes'), integer('comments'), integer('shares'),
+        integer('engagement_score'), integer('impressions'), integer('clicks'), real('engagement_rate'), text('url')
+      ],
+      rows: postRows
+    },
+    {
+      name: 'post_hashtags',
+      columns: [{ ...ref('post_urn', 'posts.urn'), notNull: true }, { ...text('hashtag'), notNull: true }],
+      rows: hashtagRows
+    },
+    {
+      name: 'post_analytics',
+      columns: [
+        { name: 'activity_urn', type: 'TEXT', primaryKey: true }, ref('post_urn', 'posts.urn'), text('post_text'),
+        text('post_age'), integer('impressions'), integer('members_reached'), integer('reactions'),
+        integer('comments'), integer('reposts'), integer('profile_viewers'), integer('followers_gained'),
+        real('engagement_rate'), text('captured_at')
+      ],
+      rows: postAnalyticsRows
+    },
+    {
+      name: 'post_analytics_demographics',
+      columns: [
+        { ...ref('activity_urn', 'post_analytics.activity_urn'), notNull: true }, text('type'), text('value'),
+        real('percentage')
+      ],
+      rows: demographicRows
+    },
+    {
+      name: 'comments',
+      columns: [
+        { name: 'urn', type: 'TEXT', primaryKey: true }, ref('post_urn', 'posts.urn'), text('thread_urn'),
+        text('author_name'), text('author_headline'), text('author_profile_url'),
+        ref('author_connection_urn', 'connections.urn'), text('text'), integer('likes'), text('created_at'),
+        text('captured_at')
+      ],
+      rows: commentRows
+    },
+    {
+      name: 'followers',
+      columns: [
+        { name: 'id', type: 'INTEGER', primaryKey: true }, text('urn'), text('public_identifier'), text('name'),
+        text('headline'), text('profile_url'), ref('connection_urn', 'connections.urn'), text('captured_at')
+      ],
+      rows: followerRows
+    },
+    {
+      name: 'viewers',
+      columns: [
+        { name: 'id', type: 'INTEGER', primaryKey: true }, text('first_name'), text('last_name'), text('headline'),
+        text('public_identifier'), ref('connection_urn', 'connections.urn')
+      ],
+      rows: viewerRows
+    },
+    {
+      name: 'metric_snapshots',
+      columns: [
+        { name: 'id', type: 'INTEGER', primaryKey: true }, text('captured_at'), text('date'), text('source'),
+        integer('profile_views'), integer('connections_count'), integer('follower_count'), integer('impressions'),
+        integer('members_reached'), integer('search_appearances')
+      ],
+      rows: snapshotRows
+    }
+  ];
+}
+
+/**
+ * Export the datasets as a SQLite database with normalized, URN-linked tables
+ */
+async function exportAsSQLite() {
+  try {
+    const keys = [
+      STORAGE_KEYS.CONNECTIONS_DATA,
+      STORAGE_KEYS.MY_POSTS,
+      STORAGE_KEYS.FEED_POSTS,
+      STORAGE_KEYS.POST_ANALYTICS_DATA,
+      STORAGE_KEYS.COMMENTS,
+      STORAGE_KEYS.FOLLOWERS,
+      STORAGE_KEYS.ANALYTICS_DATA,
+      STORAGE_KEYS.METRIC_SNAPSHOTS
+    ];
+    const results = await Promise.all(keys.map(key => getFromStorage(key)));
+    const data = Object.fromEntries(keys.map((key, i) => [key, results[i].data]));
+
+    const tables = buildSQLiteTables(data);
+    const database = await createDatabase(tables);
+
+    return {
+      success: true,
+      content: bytesToBase64(database),
+      encoding: 'base64',
+      mimeType: 'application/vnd.sqlite3',
+      rowCount: tables.reduce((sum, table) => sum + table.rows.length, 0),
+      filename: `linkedin-data-${Date.now()}.sqlite`
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] SQLite export error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// CAPTURE RECORDING (DEVELOPER MODE)
+// ============================================
+
+const CAPTURE_RECORDINGS_STORE = 'capture_recordings';
+const CAPTURE_FIXTURE_FORMAT = 'linkedin-capture-fixtures';
+const CAPTURE_FIXTURE_VERSION = 1;
+const CAPTURE_RECORDINGS_MAX = 2000;
+
+/**
+ * Keep one raw `linkedin-api-captured` event exactly as the content script saw it
+ */
+async function recordCapture(message) {
+  try {
+    if (!message.detail) {
+      return { success: false, error: 'No event detail' };
+    }
+
+    if (await countRecords(CAPTURE_RECORDINGS_STORE) >= CAPTURE_RECORDINGS_MAX) {
+      return { success: false, error: `Capture recording is full (${CAPTURE_RECORDINGS_MAX} events)` };
+    }
+
+    await appendRecord(CAPTURE_RECORDINGS_STORE, {
+      eventType: message.eventType || 'linkedin-api-captured',
+      detail: message.detail,
+      pageUrl: message.pageUrl || null,
+      recordedAt: new Date().toISOString()
     });
+    return { success: true };
+  } catch (error) {
+    console.error('[ServiceWorker] Error recording capture:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    // Update paging info
-    if (result.data.data?.paging) {
-      connectionsData.paging = result.data.data.paging;
+/**
+ * Number of recorded events and the time span they cover
+ */
+async function getCaptureRecordingStatus() {
+  try {
+    const [count, first, last] = await Promise.all([
+      countRecords(CAPTURE_RECORDINGS_STORE),
+      getFirstRecord(CAPTURE_RECORDINGS_STORE),
+      getLastRecord(CAPTURE_RECORDINGS_STORE)
+    ]);
+
+    return {
+      success: true,
+      data: {
+        count,
+        maxCount: CAPTURE_RECORDINGS_MAX,
+        firstRecordedAt: first?.recordedAt || null,
+        lastRecordedAt: last?.recordedAt || null
+      }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Error getting capture recording status:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Bundle every recorded event as a replayable fixture file
+ */
+async function exportCaptureFixtures() {
+  try {
+    const events = await getAllRecords(CAPTURE_RECORDINGS_STORE);
+    if (events.length === 0) {
+      return { success: false, error: 'No captures recorded' };
     }
 
-    console.log(`[ServiceWorker] Processed ${connectionsData.connections.length} connections in this batch (raw: ${connectionObjects.length})`);
+    const bundle = {
+      format: CAPTURE_FIXTURE_FORMAT,
+      version: CAPTURE_FIXTURE_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      eventCount: events.length,
+      events
+    };
 
     return {
       success: true,
-      data: connectionsData,
-      connectionsCount: connectionsData.connections.length,
-      rawConnectionCount: connectionObjects.length,  // Raw count before filtering for pagination
-      requestedCount: count
+      content: JSON.stringify(bundle, null, 2),
+      filename: `linkedin-capture-fixtures-${Date.now()}.json`,
+      eventCount: events.length
     };
+  } catch (error) {
+    console.error('[ServiceWorker] Error exporting capture fixtures:', error);
+    return { success: false, error: error.message };
   }
+}
 
-  return result;
+async function clearCaptureRecordings() {
+  await clearRecords(CAPTURE_RECORDINGS_STORE);
+  return getCaptureRecordingStatus();
+}
+
+const HAR_ENTRIES_STORE = 'har_entries';
+const HAR_MAX_ENTRIES = 2000;
+// Bodies are capped in the page, but a few thousand large ones still add up,
+// and the export has to fit in one string
+const HAR_MAX_STORED_CHARS = 50 * 1024 * 1024;
+
+let harStoredChars = null;
+
+/**
+ * Serialized size of every stored entry, summed once per worker and kept up to date after that
+ */
+async function getHarStoredChars() {
+  if (harStoredChars === null) {
+    const entries = await getAllRecords(HAR_ENTRIES_STORE);
+    const total = entries.reduce((sum, entry) => sum + JSON.stringify(entry).length, 0);
+    if (harStoredChars === null) harStoredChars = total;
+  }
+  return harStoredChars;
+}
+
+/**
+ * Keep one HAR entry from the main-world interceptor (headers arrive already redacted)
+ */
+async function recordHarEntry(message) {
+  try {
+    const entry = message.entry;
+    if (!entry?.request?.url || !entry.response || !entry.startedDateTime) {
+      return { success: false, error: 'Invalid HAR entry' };
+    }
+
+    if (await countRecords(HAR_ENTRIES_STORE) >= HAR_MAX_ENTRIES) {
+      return { success: false, error: `HAR capture is full (${HAR_MAX_ENTRIES} entries)` };
+    }
+
+    const size = JSON.stringify(entry).length;
+    if (await getHarStoredChars() + size > HAR_MAX_STORED_CHARS) {
+      return { success: false, error: `HAR capture is full (${HAR_MAX_STORED_CHARS / 1024 / 1024} MB)` };
+    }
+
+    // Count it before the write so entries arriving meanwhile see it
+    harStoredChars += size;
+    try {
+      await appendRecord(HAR_ENTRIES_STORE, entry);
+    } catch (error) {
+      harStoredChars -= size;
+      throw error;
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('[ServiceWorker] Error recording HAR entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getHarStatus() {
+  try {
+    const [count, first, last, storedChars] = await Promise.all([
+      countRecords(HAR_ENTRIES_STORE),
+      getFirstRecord(HAR_ENTRIES_STORE),
+      getLastRecord(HAR_ENTRIES_STORE),
+      getHarStoredChars()
+    ]);
+
+    return {
+      success: true,
+      data: {
+        count,
+        maxEntries: HAR_MAX_ENTRIES,
+        storedChars,
+        maxStoredChars: HAR_MAX_STORED_CHARS,
+        firstStartedAt: first?.startedDateTime || null,
+        lastStartedAt: last?.startedDateTime || null
+      }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Error getting HAR status:', error);
+    return { success: false, error: error.message };
+  }
 }
 
 /**
- * Fetch all connections with pagination (Taplio-style) - FIXED
+ * Build a HAR 1.2 file from every recorded entry, oldest first
+ */
+async function exportAsHAR() {
+  try {
+    const entries = await getAllRecords(HAR_ENTRIES_STORE);
+    if (entries.length === 0) {
+      return { success: false, error: 'No HAR entries recorded' };
+    }
+
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'LinkedIn Data Extractor', version: chrome.runtime.getManifest().version },
+        pages: [],
+        entries: entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+      }
+    };
+
+    // No indentation: bodies are most of the file and indenting them can double its size
+    return {
+      success: true,
+      content: JSON.stringify(har),
+      filename: `linkedin-voyager-${Date.now()}.har`,
+      entryCount: entries.length
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Error exporting HAR:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function clearHarEntries() {
+  await clearRecords(HAR_ENTRIES_STORE);
+  harStoredChars = 0;
+  return getHarStatus();
+}
+
+// ============================================
+// DATA IMPORT (RESTORE)
+// ============================================
+
+// Session/job state that must not be restored from another install
+const IMPORT_SKIPPED_KEYS = [
+  STORAGE_KEYS.SCHEMA_VERSION,
+  STORAGE_KEYS.AUTH_DATA,
+  STORAGE_KEYS.REQUEST_BUDGET,
+  STORAGE_KEYS.SYNC_JOB,
+  STORAGE_KEYS.SCHEDULED_SYNC_STATUS,
+  STORAGE_KEYS.WEBHOOK_LOG,
+  STORAGE_KEYS.EXTERNAL_API_AUDIT
+];
+
+// Settings that grant access or send data off the extension; a file must not
+// be able to switch these on, so they're only ever changed in Settings
+const IMPORT_SKIPPED_SETTINGS = [
+  'webhookEnabled',
+  'webhookUrl',
+  'webhookSecret',
+  'nativeHostEnabled',
+  'externalApiClients'
+];
+
+/**
+ * Imported settings without the ones in IMPORT_SKIPPED_SETTINGS
+ */
+function getImportableSettings(settings) {
+  const importable = { ...settings };
+  IMPORT_SKIPPED_SETTINGS.forEach(name => delete importable[name]);
+  return importable;
+}
+
+/**
+ * Check an export file's layout and version
+ */
+function validateImportFile(file) {
+  if (!file || typeof file !== 'object' || !file.data || typeof file.data !== 'object') {
+    return 'Not a LinkedIn Data Extractor export (missing data)';
+  }
+
+  const major = String(file.version || '').split('.')[0];
+  if (major !== EXPORT_FORMAT_VERSION.split('.')[0]) {
+    return `Unsupported export version ${file.version || 'unknown'} (expected ${EXPORT_FORMAT_VERSION})`;
+  }
+
+  return null;
+}
+
+/**
+ * Union two record arrays by key; records already stored win on conflicts
+ */
+function unionByKey(existing, imported, keyOf) {
+  const map = new Map();
+  existing.forEach(record => {
+    const key = keyOf(record);
+    if (key) map.set(key, record);
+  });
+  imported.forEach(record => {
+    const key = keyOf(record);
+    if (key && !map.has(key)) map.set(key, record);
+  });
+  return Array.from(map.values());
+}
+
+/**
+ * Most recent timestamp on a single-record dataset
+ */
+function getRecordTimestamp(record) {
+  return new Date(record?.lastUpdated || record?.extractedAt || record?.capturedAt || 0).getTime();
+}
+
+/**
+ * Merge one imported dataset into what's stored, reusing the URN dedup of the save functions
+ */
+async function mergeImportedDataset(key, value) {
+  const rows = getDatasetRows(key, value);
+
+  switch (key) {
+    case STORAGE_KEYS.FEED_POSTS:
+      return saveFeedPostsToStorage(rows);
+
+    case STORAGE_KEYS.MY_POSTS:
+      return saveMyPostsToStorage(rows);
+
+    case STORAGE_KEYS.COMMENTS:
+      return saveCommentsToStorage(rows);
+
+    case STORAGE_KEYS.TRENDING:
+      return saveTrendingToStorage(value?.topics || []);
+
+    case STORAGE_KEYS.FOLLOWERS:
+      return saveFollowersToStorage({ followers: value?.followers || [] });
+
+    case STORAGE_KEYS.POST_ANALYTICS_DATA: {
+      const result = await mergePostAnalytics(rows);
+      return result.success ? { success: true, count: rows.length } : result;
+    }
+
+    case STORAGE_KEYS.CONNECTIONS_DATA: {
+      const existing = await getBulkDataset(key);
+      const connections = unionByKey(existing?.connections || [], rows, BULK_DATASETS[key].keyOf);
+      return saveToStorage(key, { ...value, ...existing, connections, fetchedConnections: connections.length });
+    }
+
+    case STORAGE_KEYS.CAPTURED_APIS: {
+      const existing = (await getBulkDataset(key)) || [];
+      const apis = unionByKey(existing, rows, api => `${api.endpoint || api.url}|${api.capturedAt}`)
+        .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt));
+      return saveToStorage(key, apis);
+    }
+
+    case STORAGE_KEYS.METRIC_SNAPSHOTS: {
+      const existing = await getFromStorage(key);
+      const snapshots = unionByKey(existing.data?.snapshots || [], rows, snapshot => snapshot.capturedAt)
+        .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt));
+      return saveToStorage(key, {
+        snapshots,
+        totalCount: snapshots.length,
+        lastUpdated: snapshots[snapshots.length - 1]?.capturedAt || null
+      });
+    }
+
+    case STORAGE_KEYS.CONNECTION_CHANGES: {
+      const existing = await getFromStorage(key);
+      const changes = unionByKey(existing.data?.changes || [], rows, change => `${change.type}|${change.key}|${change.detectedAt}`)
+        .sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt));
+      return saveToStorage(key, { changes, totalCount: changes.length, lastUpdated: new Date().toISOString() });
+    }
+
+    case STORAGE_KEYS.SETTINGS: {
+      // Settings the user already has here take precedence
+      const existing = await getFromStorage(key);
+      return updateSettings({ ...getImportableSettings(value), ...existing.data });
+    }
+
+    default: {
+      // Single-record datasets (profile, analytics, audience, ...): keep the newer one
+      const existing = await getFromStorage(key);
+      if (existing.data && getRecordTimestamp(existing.data) >= getRecordTimestamp(value)) {
+        return { success: true, kept: 'existing' };
+      }
+      return saveToStorage(key, value);
+    }
+  }
+}
+
+/**
+ * Restore datasets from a previous JSON export
+ * mode 'merge' combines with stored data; 'replace' overwrites each dataset in the file.
+ */
+async function importFromJSON(content, mode = 'merge') {
+  try {
+    let file;
+    try {
+      file = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return { success: false, error: 'File is not valid JSON' };
+    }
+
+    const validationError = validateImportFile(file);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    // Bring datasets from older exports up to the current shapes first
+    const data = applyMigrations(file.data, file.schemaVersion || 0);
+
+    const knownKeys = Object.values(STORAGE_KEYS);
+    const imported = {};
+    const skipped = [];
+    const failed = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      if (!knownKeys.includes(key) || IMPORT_SKIPPED_KEYS.includes(key) || value === null || value === undefined) {
+        skipped.push(key);
+        continue;
+      }
+
+      const result = mode === 'replace'
+        ? (key === STORAGE_KEYS.SETTINGS ? await updateSettings(getImportableSettings(value)) : await saveToStorage(key, value))
+        : await mergeImportedDataset(key, value);
+
+      if (result && result.success === false) {
+        failed[key] = result.error;
+      } else {
+        imported[key] = getDatasetRows(key, value).length;
+      }
+    }
+
+    console.log(`[ServiceWorker] Import (${mode}) from export of ${file.exportedAt}:`, imported, 'skipped:', skipped);
+
+    return {
+      success: Object.keys(failed).length === 0,
+      error: Object.keys(failed).length > 0 ? `Failed to import ${Object.keys(failed).join(', ')}` : undefined,
+      data: { mode, exportedAt: file.exportedAt || null, imported, skipped, failed }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Import error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// REQUEST SCHEDULER
+// ============================================
+
+const requestQueue = [];
+const schedulerState = {
+  active: 0,
+  lastStartedAt: 0,
+  cooldownUntil: 0,   // Set after 429/999 so every queued request backs off together
+  timer: null
+};
+
+/**
+ * Queue a task behind the concurrency limit and request spacing
+ */
+function scheduleRequest(task) {
+  return new Promise((resolve, reject) => {
+    requestQueue.push({ task, resolve, reject });
+    pumpRequestQueue();
+  });
+}
+
+/**
+ * Start as many queued tasks as the limits allow
+ */
+function pumpRequestQueue() {
+  if (schedulerState.timer) return;
+
+  while (requestQueue.length > 0 && schedulerState.active < REQUEST_LIMITS.MAX_CONCURRENT) {
+    const now = Date.now();
+    const readyAt = Math.max(
+      schedulerState.cooldownUntil,
+      schedulerState.lastStartedAt + REQUEST_LIMITS.MIN_INTERVAL_MS
+    );
+
+    if (now < readyAt) {
+      schedulerState.timer = setTimeout(() => {
+        schedulerState.timer = null;
+        pumpRequestQueue();
+      }, readyAt - now);
+      return;
+    }
+
+    const { task, resolve, reject } = requestQueue.shift();
+    schedulerState.active++;
+    schedulerState.lastStartedAt = now;
+
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        schedulerState.active--;
+        pumpRequestQueue();
+      });
+  }
+}
+
+/**
+ * Backoff delay: honour Retry-After, otherwise exponential with full jitter
+ */
+function getBackoffDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay > 0) return Math.min(delay, REQUEST_LIMITS.MAX_BACKOFF_MS * 5);
+  }
+
+  const ceiling = Math.min(REQUEST_LIMITS.MAX_BACKOFF_MS, REQUEST_LIMITS.BASE_BACKOFF_MS * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+let budgetLock = Promise.resolve();
+
+/**
+ * Take one request from today's budget (persisted so it survives worker restarts)
+ * Calls are chained so concurrent fetches don't lose increments.
+ */
+function consumeRequestBudget() {
+  const next = budgetLock.then(takeFromRequestBudget);
+  budgetLock = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Read-modify-write of the persisted daily budget
+ */
+async function takeFromRequestBudget() {
+  const today = new Date().toISOString().split('T')[0];
+
+  const [budgetResult, settingsResult] = await Promise.all([
+    getFromStorage(STORAGE_KEYS.REQUEST_BUDGET),
+    getFromStorage(STORAGE_KEYS.SETTINGS)
+  ]);
+
+  const limit = settingsResult.data?.dailyRequestBudget || REQUEST_LIMITS.DAILY_BUDGET;
+  const budget = budgetResult.data?.date === today ? budgetResult.data : { date: today, used: 0 };
+
+  if (budget.used >= limit) {
+    return { allowed: false, used: budget.used, limit };
+  }
+
+  budget.used++;
+  await saveToStorage(STORAGE_KEYS.REQUEST_BUDGET, budget);
+  return { allowed: true, used: budget.used, limit };
+}
+
+/**
+ * Get scheduler and budget status for the popup
+ */
+async function getRequestStatus() {
+  const today = new Date().toISOString().split('T')[0];
+  const budgetResult = await getFromStorage(STORAGE_KEYS.REQUEST_BUDGET);
+  const settingsResult = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const used = budgetResult.data?.date === today ? budgetResult.data.used : 0;
+
+  return {
+    success: true,
+    data: {
+      used: used,
+      limit: settingsResult.data?.dailyRequestBudget || REQUEST_LIMITS.DAILY_BUDGET,
+      queued: requestQueue.length,
+      active: schedulerState.active,
+      cooldownUntil: schedulerState.cooldownUntil > Date.now()
+        ? new Date(schedulerState.cooldownUntil).toISOString()
+        : null
+    }
+  };
+}
+
+// ============================================
+// TAPLIO-STYLE LINKEDIN API CALLS
+// ============================================
+
+/**
+ * Make authenticated request to LinkedIn Voyager API (Taplio-style)
+ * Goes through the request scheduler: concurrency limit, retries with backoff, daily budget.
+ */
+async function fetchLinkedInAPI(endpoint, options = {}) {
+  for (let attempt = 0; attempt <= REQUEST_LIMITS.MAX_RETRIES; attempt++) {
+    const budget = await consumeRequestBudget();
+    if (!budget.allowed) {
+      console.warn(`[ServiceWorker] Daily request budget exhausted (${budget.used}/${budget.limit}), skipping ${endpoint}`);
+      return { success: false, error: 'Daily request budget exhausted', budgetExhausted: true };
+    }
+
+    const result = await scheduleRequest(() => executeLinkedInRequest(endpoint, options));
+
+    if (result.success || !RETRYABLE_STATUSES.includes(result.status) || attempt === REQUEST_LIMITS.MAX_RETRIES) {
+      return result;
+    }
+
+    const delay = getBackoffDelay(attempt, result.retryAfter);
+
+    // Throttling responses pause the whole queue, not just this request
+    if (result.status === 429 || result.status === 999) {
+      schedulerState.cooldownUntil = Math.max(schedulerState.cooldownUntil, Date.now() + delay);
+    }
+
+    console.warn(`[ServiceWorker] HTTP ${result.status} for ${endpoint}, retry ${attempt + 1}/${REQUEST_LIMITS.MAX_RETRIES} in ${delay}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Perform a single Voyager API request (no retries)
+ */
+async function executeLinkedInRequest(endpoint, options = {}) {
+  try {
+    const cookies = await getLinkedInCookies();
+    if (!cookies.isAuthenticated) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const csrfToken = cookies.csrfToken?.replace(/"/g, '') || '';
+
+    // Taplio-style headers
+    const headers = {
+      'accept': 'application/vnd.linkedin.normalized+json+2.1',
+      'accept-language': 'en-US,en;q=0.9',
+      'csrf-token': csrfToken,
+      'x-li-lang': 'en_US',
+      'x-li-page-instance': 'urn:li:page:d_flagship3_profile_view_base;' + generateUUID(),
+      'x-li-track': JSON.stringify({
+        clientVersion: '1.13.8960',
+        mpVersion: '1.13.8960',
+        osName: 'web',
+        timezoneOffset: new Date().getTimezoneOffset() / -60,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        deviceFormFactor: 'DESKTOP',
+        mpName: 'voyager-web'
+      }),
+      'x-restli-protocol-version': '2.0.0',
+      ...options.headers
+    };
+
+    const response = await fetch(`https://www.linkedin.com${endpoint}`, {
+      method: options.method || 'GET',
+      headers: headers,
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      console.error(`[ServiceWorker] API error: ${response.status} for ${endpoint}`);
+      return {
+        success: false,
+        error: `HTTP ${response.status}`,
+        status: response.status,
+        retryAfter: response.headers.get('retry-after')
+      };
+    }
+
+    const data = await response.json();
+    return { success: true, data: data, raw: data };
+  } catch (error) {
+    console.error('[ServiceWorker] API fetch error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Generate UUID for LinkedIn tracking
+ */
+function generateUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Parse LinkedIn normalized response to extract entities
+ */
+function parseLinkedInResponse(data) {
+  const result = {
+    profiles: {},
+    miniProfiles: {},
+    companies: {},
+    connections: [],
+    posts: [],
+    analytics: {}
+  };
+
+  if (!data) return result;
+
+  // Parse included entities
+  if (data.included && Array.isArray(data.included)) {
+    data.included.forEach(item => {
+      const type = item.$type || '';
+      const urn = item.entityUrn || item['*miniProfile'] || '';
+
+      // Profiles
+      if (type.includes('Profile') && !type.includes('MiniProfile')) {
+        result.profiles[urn] = item;
+      }
+
+      // Mini Profiles
+      if (type.includes('MiniProfile')) {
+        result.miniProfiles[urn] = item;
+      }
+
+      // Companies
+      if (type.includes('Company') || type.includes('Organization')) {
+        result.companies[urn] = item;
+      }
+
+      // Connections
+      if (type.includes('Connection')) {
+        result.connections.push(item);
+      }
+
+      // Posts/Activities
+      if (type.includes('Update') || type.includes('Activity') || type.includes('Share')) {
+        result.posts.push(item);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Fetch current user's member URN (needed for other API calls)
+ */
+async function fetchMemberUrn() {
+  const result = await fetchLinkedInAPI('/voyager/api/me');
+
+  if (result.success && result.data) {
+    // Extract member URN from response
+    let memberUrn = null;
+    let publicIdentifier = null;
+
+    if (result.data.miniProfile) {
+      memberUrn = result.data.miniProfile.entityUrn;
+      publicIdentifier = result.data.miniProfile.publicIdentifier;
+    }
+
+    // Also check included array
+    if (result.data.included) {
+      result.data.included.forEach(item => {
+        if (item.$type?.includes('MiniProfile') && item.entityUrn) {
+          memberUrn = memberUrn || item.entityUrn;
+          publicIdentifier = publicIdentifier || item.publicIdentifier;
+        }
+      });
+    }
+
+    // Try to extract from plain data
+    if (!memberUrn && result.data.plainId) {
+      memberUrn = `urn:li:fsd_profile:${result.data.plainId}`;
+    }
+
+    return { success: true, memberUrn, publicIdentifier, raw: result.data };
+  }
+
+  return { success: false, error: 'Could not get member URN' };
+}
+
+/**
+ * Fetch current user's full profile data (Taplio-style)
+ */
+async function fetchMyProfile() {
+  console.log('[ServiceWorker] Fetching profile...');
+
+  // First get the member URN
+  const memberData = await fetchMemberUrn();
+
+  // Fetch basic profile from /me endpoint
+  const meResult = await fetchLinkedInAPI('/voyager/api/me');
+
+  if (!meResult.success) {
+    return meResult;
+  }
+
+  const profile = {
+    extractedAt: new Date().toISOString(),
+    source: 'direct_api'
+  };
+
+  // Parse the /me response
+  const parsed = parseLinkedInResponse(meResult.data);
+
+  // Extract from miniProfile in response
+  if (meResult.data.miniProfile) {
+    const mp = meResult.data.miniProfile;
+    profile.firstName = mp.firstName;
+    profile.lastName = mp.lastName;
+    profile.headline = mp.occupation;
+    profile.publicIdentifier = mp.publicIdentifier;
+    profile.entityUrn = mp.entityUrn;
+    profile.trackingId = mp.trackingId;
+    profile.profilePicture = mp.picture?.rootUrl;
+  }
+
+  // Extract from included entities
+  Object.values(parsed.miniProfiles).forEach(mp => {
+    if (!profile.firstName) {
+      profile.firstName = mp.firstName;
+      profile.lastName = mp.lastName;
+      profile.headline = mp.occupation;
+      profile.publicIdentifier = mp.publicIdentifier;
+      profile.entityUrn = mp.entityUrn;
+    }
+  });
+
+  // Get premium subscriber info
+  if (meResult.data.premiumSubscriber !== undefined) {
+    profile.isPremium = meResult.data.premiumSubscriber;
+  }
+
+  // Store memberUrn for other API calls
+  if (memberData.success) {
+    profile.memberUrn = memberData.memberUrn;
+    profile.publicIdentifier = profile.publicIdentifier || memberData.publicIdentifier;
+  }
+
+  // Fetch connections count from working endpoint
+  const connSummary = await fetchLinkedInAPI('/voyager/api/relationships/connectionsSummary');
+  if (connSummary.success && connSummary.data) {
+    const summaryData = connSummary.data.data || connSummary.data;
+    profile.connectionsCount = summaryData.numConnections;
+    profile.numConnections = summaryData.numConnections;
+  }
+
+  await saveToStorage(STORAGE_KEYS.PROFILE_DATA, profile);
+  await recordMetricSnapshot(STORAGE_KEYS.PROFILE_DATA, profile, 'direct_api');
+  console.log('[ServiceWorker] Profile fetched:', profile.firstName, profile.lastName);
+
+  return { success: true, data: profile };
+}
+
+// ============================================
+// FULL PROFILE (CV-STYLE RECORD)
+// ============================================
+
+/**
+ * Normalized full profile, stored under linkedin_full_profile:
+ *
+ * {
+ *   schemaVersion: 1,
+ *   extractedAt, source,
+ *   publicIdentifier, entityUrn, firstName, lastName, headline,
+ *   about,                      // The "About" section
+ *   location, industry,
+ *   positions:      [{ title, companyName, companyUrn, location, description, employmentType, startDate, endDate, isCurrent }],
+ *   education:      [{ schoolName, schoolUrn, degree, fieldOfStudy, grade, activities, description, startDate, endDate }],
+ *   skills:         [{ name, endorsementCount }],
+ *   certifications: [{ name, authority, licenseNumber, url, startDate, endDate }],
+ *   languages:      [{ name, proficiency }],
+ *   featured:       [{ type, title, description, url }]
+ * }
+ *
+ * Dates are "YYYY-MM" (or "YYYY" when LinkedIn has no month); a missing endDate means current.
+ */
+const FULL_PROFILE_SCHEMA_VERSION = 1;
+
+/**
+ * Fetch and normalize the full profile (positions, education, skills, ...)
+ */
+async function fetchFullProfile(publicIdentifier = null) {
+  console.log('[ServiceWorker] Fetching full profile...');
+
+  if (!publicIdentifier) {
+    const stored = await getFromStorage(STORAGE_KEYS.PROFILE_DATA);
+    publicIdentifier = stored.data?.publicIdentifier;
+  }
+  if (!publicIdentifier) {
+    const memberData = await fetchMemberUrn();
+    publicIdentifier = memberData.publicIdentifier;
+  }
+  if (!publicIdentifier) {
+    return { success: false, error: 'Could not determine profile identifier' };
+  }
+
+  const id = encodeURIComponent(publicIdentifier);
+
+  // Classic profileView has most sections; the dash profile adds featured items
+  const [profileViewResult, dashResult, skillsResult] = await Promise.all([
+    fetchLinkedInAPI(`/voyager/api/identity/profiles/${id}/profileView`),
+    fetchLinkedInAPI(`/voyager/api/identity/dash/profiles?q=memberIdentity&memberIdentity=${id}&decorationId=${DECORATION_IDS.PROFILE_VIEW}`),
+    fetchLinkedInAPI(`/voyager/api/identity/profiles/${id}/featuredSkills?includeHiddenEndorsers=true&count=100`)
+  ]);
+
+  if (!profileViewResult.success && !dashResult.success) {
+    return { success: false, error: profileViewResult.error || dashResult.error };
+  }
+
+  const sources = [profileViewResult, dashResult]
+    .filter(result => result.success && result.data)
+    .map(result => parseProfileSections(result.data, publicIdentifier));
+
+  // Take each section from the first response that has it
+  const pick = section => sources.find(parsed => parsed[section]?.length > 0)?.[section] || [];
+  const pickField = field => sources.map(parsed => parsed.profile[field]).find(value => value) || null;
+
+  const endorsements = skillsResult.success ? parseSkillEndorsements(skillsResult.data) : {};
+  const skills = pick('skills').map(skill => ({
+    name: skill.name,
+    endorsementCount: endorsements[skill.name] ?? skill.endorsementCount ?? 0
+  }));
+  // Featured skills can include ones the profile view didn't list
+  Object.entries(endorsements).forEach(([name, endorsementCount]) => {
+    if (!skills.some(skill => skill.name === name)) skills.push({ name, endorsementCount });
+  });
+
+  const fullProfile = {
+    schemaVersion: FULL_PROFILE_SCHEMA_VERSION,
+    extractedAt: new Date().toISOString(),
+    source: 'direct_api',
+    publicIdentifier: publicIdentifier,
+    entityUrn: pickField('entityUrn'),
+    firstName: pickField('firstName'),
+    lastName: pickField('lastName'),
+    headline: pickField('headline'),
+    about: pickField('about'),
+    location: pickField('location'),
+    industry: pickField('industry'),
+    positions: pick('positions'),
+    education: pick('education'),
+    skills: skills.sort((a, b) => b.endorsementCount - a.endorsementCount),
+    certifications: pick('certifications'),
+    languages: pick('languages'),
+    featured: pick('featured')
+  };
+
+  await saveToStorage(STORAGE_KEYS.FULL_PROFILE, fullProfile);
+  console.log(`[ServiceWorker] Full profile fetched: ${fullProfile.positions.length} positions, ${fullProfile.education.length} schools, ${fullProfile.skills.length} skills`);
+
+  return { success: true, data: fullProfile };
+}
+
+/**
+ * Index the geo, industry and company entities of a normalized response by URN
+ */
+function buildEntityLookup(included = []) {
+  const lookup = { geos: {}, industries: {}, companies: {} };
+
+  included.forEach(item => {
+    const typeName = (item.$type || '').split('.').pop();
+    if (!item.entityUrn) return;
+
+    if (typeName === 'Geo') {
+      lookup.geos[item.entityUrn] = item.defaultLocalizedName || item.defaultLocalizedNameWithoutCountryName;
+    } else if (typeName === 'Industry') {
+      lookup.industries[item.entityUrn] = item.name;
+    } else if (typeName === 'Company' || typeName === 'Organization') {
+      lookup.companies[item.entityUrn] = item.name;
+    }
+  });
+
+  return lookup;
+}
+
+/**
+ * Resolve a profile's location and industry, inline or through referenced entities
+ */
+function getProfileContext(profile, lookup) {
+  const geoUrn = profile.geoLocation?.['*geo'] || profile.geoLocation?.geoUrn || profile.geoUrn;
+  const industryUrn = profile['*industry'] || profile.industry?.['*industry'] || profile.industryUrn;
+
+  return {
+    location: profile.locationName || profile.geoLocationName || lookup.geos[geoUrn] || null,
+    industry: profile.industryName || (typeof profile.industry === 'string' ? profile.industry : null) ||
+      lookup.industries[industryUrn] || null
+  };
+}
+
+/**
+ * Split a (classic or dash) profile response into normalized sections
+ */
+function parseProfileSections(data, publicIdentifier) {
+  const sections = {
+    profile: {},
+    positions: [],
+    education: [],
+    skills: [],
+    certifications: [],
+    languages: [],
+    featured: []
+  };
+
+  const included = data.included || [];
+  const lookup = buildEntityLookup(included);
+
+  included.forEach(item => {
+    const typeName = (item.$type || '').split('.').pop();
+
+    switch (typeName) {
+      case 'Profile':
+        // Other members' profiles can be included (e.g. recommenders)
+        if (item.publicIdentifier && item.publicIdentifier !== publicIdentifier) break;
+        sections.profile = {
+          entityUrn: item.entityUrn || null,
+          firstName: item.firstName || null,
+          lastName: item.lastName || null,
+          headline: item.headline || null,
+          about: item.summary || null,
+          ...getProfileContext(item, lookup)
+        };
+        break;
+
+      case 'Position': {
+        const period = getProfileDateRange(item);
+        sections.positions.push({
+          title: item.title || null,
+          companyName: item.companyName || item.multiLocaleCompanyName?.en_US ||
+            lookup.companies[item.companyUrn || item['*company']] || null,
+          companyUrn: item.companyUrn || null,
+          location: item.locationName || null,
+          description: item.description || null,
+          employmentType: item.employmentType?.name || item.employmentTypeUrn?.split(':').pop() || null,
+          ...period,
+          isCurrent: !!period.startDate && !period.endDate
+        });
+        break;
+      }
+
+      case 'Education':
+        sections.education.push({
+          schoolName: item.schoolName || null,
+          schoolUrn: item.schoolUrn || null,
+          degree: item.degreeName || null,
+          fieldOfStudy: item.fieldOfStudy || null,
+          grade: item.grade || null,
+          activities: item.activities || null,
+          description: item.description || null,
+          ...getProfileDateRange(item)
+        });
+        break;
+
+      case 'Skill':
+        if (item.name) {
+          sections.skills.push({ name: item.name, endorsementCount: item.endorsementCount ?? null });
+        }
+        break;
+
+      case 'Certification':
+        sections.certifications.push({
+          name: item.name || null,
+          authority: item.authority || null,
+          licenseNumber: item.licenseNumber || null,
+          url: item.url || null,
+          ...getProfileDateRange(item)
+        });
+        break;
+
+      case 'Language':
+        sections.languages.push({
+          name: item.name || null,
+          proficiency: item.proficiency || null
+        });
+        break;
+
+      case 'TreasuryMedia':
+      case 'FeaturedItem':
+        sections.featured.push({
+          type: item.mediaType || item.featuredItemType || typeName,
+          title: item.title || null,
+          description: item.description || null,
+          url: item.url || item.data?.url || null
+        });
+        break;
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Normalize classic timePeriod / dash dateRange into YYYY-MM strings
+ */
+function getProfileDateRange(item) {
+  const range = item.timePeriod || item.dateRange || {};
+  const format = date => {
+    if (!date?.year) return null;
+    return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+  };
+
+  return {
+    startDate: format(range.startDate || range.start),
+    endDate: format(range.endDate || range.end)
+  };
+}
+
+/**
+ * Map skill name to endorsement count from the featuredSkills response
+ */
+function parseSkillEndorsements(data) {
+  const endorsements = {};
+  const included = data?.included || [];
+  const elements = data?.data?.elements || data?.elements || [];
+
+  // Normalized responses reference the Skill entity from the EndorsedSkill
+  const skillNames = {};
+  included.forEach(item => {
+    if ((item.$type || '').endsWith('.Skill') && item.entityUrn) {
+      skillNames[item.entityUrn] = item.name;
+    }
+  });
+
+  [...elements, ...included].forEach(item => {
+    if (item.endorsementCount === undefined) return;
+    const name = item.skill?.name || skillNames[item['*skill']] || skillNames[item.skill];
+    if (name) endorsements[name] = item.endorsementCount;
+  });
+
+  return endorsements;
+}
+
+/**
+ * Fetch profile analytics (FIXED - using only working endpoints)
+ */
+async function fetchAnalytics() {
+  console.log('[ServiceWorker] Fetching analytics...');
+
+  const analytics = {
+    extractedAt: new Date().toISOString(),
+    source: 'direct_api'
+  };
+
+  // Fetch WVMP cards (Who Viewed My Profile) - THIS ENDPOINT WORKS
+  const wvmpResult = await fetchLinkedInAPI('/voyager/api/identity/wvmpCards');
+
+  if (wvmpResult.success && wvmpResult.data) {
+    // Parse WVMP data - check both data.data and data directly
+    const wvmpData = wvmpResult.data.data || wvmpResult.data;
+
+    if (wvmpData.elements) {
+      wvmpData.elements.forEach(element => {
+        // Profile views
+        if (element.numViews !== undefined) {
+          analytics.profileViews = element.numViews;
+        }
+        if (element.insightCards) {
+          element.insightCards.forEach(card => {
+            if (card.numViews !== undefined) {
+              analytics.profileViews = card.numViews;
+            }
+          });
+        }
+      });
+    }
+
+    // Parse included for viewer details
+    const included = wvmpResult.data.included || [];
+    analytics.recentViewers = [];
+
+    included.forEach(item => {
+      if (item.$type?.includes('MiniProfile') || item.$type?.includes('Profile')) {
+        if (item.firstName) {
+          analytics.recentViewers.push({
+            firstName: item.firstName,
+            lastName: item.lastName,
+            headline: item.occupation || item.headline,
+            publicIdentifier: item.publicIdentifier
+          });
+        }
+      }
+    });
+  }
+
+  // Fetch connections count from working endpoint
+  const connSummary = await fetchConnectionsSummary();
+  if (connSummary.success && connSummary.data) {
+    analytics.connectionsCount = connSummary.data.numConnections;
+  }
+
+  await saveToStorage(STORAGE_KEYS.ANALYTICS_DATA, analytics);
+  await recordMetricSnapshot(STORAGE_KEYS.ANALYTICS_DATA, analytics, 'direct_api');
+  console.log('[ServiceWorker] Analytics fetched:', analytics.profileViews, 'views,', analytics.connectionsCount, 'connections');
+
+  return { success: true, data: analytics };
+}
+
+/**
+ * Fetch connection summary (count) - FIXED
+ */
+async function fetchConnectionsSummary() {
+  // Use the working endpoint
+  const result = await fetchLinkedInAPI('/voyager/api/relationships/connectionsSummary');
+
+  if (result.success && result.data) {
+    // Data is nested under result.data.data
+    const summaryData = result.data.data || result.data;
+
+    return {
+      success: true,
+      data: {
+        numConnections: summaryData.numConnections || 0,
+        entityUrn: summaryData.entityUrn
+      },
+      raw: result.data
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Fetch detailed connections list (Taplio-style) - FIXED for normalized response format
+ */
+async function fetchConnections(start = 0, count = 40) {
+  console.log(`[ServiceWorker] Fetching connections: start=${start}, count=${count}`);
+
+  // Use the proper LinkedIn connections endpoint with decoration
+  const connectionsEndpoint = `/voyager/api/relationships/dash/connections?decorationId=${DECORATION_IDS.CONNECTIONS_LIST}&count=${count}&q=search&sortType=RECENTLY_ADDED&start=${start}`;
+
+  const result = await fetchLinkedInAPI(connectionsEndpoint);
+
+  if (result.success && result.data) {
+    const connectionsData = {
+      extractedAt: new Date().toISOString(),
+      source: 'direct_api',
+      connections: [],
+      paging: result.data.data?.paging || result.data.paging || { start, count }
+    };
+
+    // NORMALIZED RESPONSE FORMAT (with accept: application/vnd.linkedin.normalized+json+2.1):
+    // - Data is in result.data.included[] array
+    // - Connection objects have $type: "com.linkedin.voyager.dash.relationships.Connection"
+    // - Profile objects have $type: "com.linkedin.voyager.dash.identity.profile.Profile"
+    // - Connections reference profiles via "*connectedMemberResolutionResult"
+
+    const included = result.data.included || [];
+
+    // Separate connections and profiles
+    const connectionObjects = included.filter(item =>
+      item.$type === 'com.linkedin.voyager.dash.relationships.Connection'
+    );
+
+    const profileObjects = included.filter(item =>
+      item.$type === 'com.linkedin.voyager.dash.identity.profile.Profile'
+    );
+
+    // Geo/industry/company entities the decoration may include
+    const entityLookup = buildEntityLookup(included);
+
+    // Build profile map by entityUrn
+    const profileMap = {};
+    profileObjects.forEach(profile => {
+      if (profile.entityUrn) {
+        profileMap[profile.entityUrn] = profile;
+      }
+    });
+
+    console.log(`[ServiceWorker] Found ${connectionObjects.length} connections and ${profileObjects.length} profiles in included array`);
+
+    // Process each connection object
+    connectionObjects.forEach(conn => {
+      // Get the profile URN from the connection (note: asterisk prefix in key name)
+      const profileUrn = conn['*connectedMemberResolutionResult'] || conn.connectedMember;
+      const profile = profileMap[profileUrn];
+
+      const connection = {
+        connectionUrn: conn.entityUrn,
+        connectedMember: conn.connectedMember,
+        // Epoch ms when the connection was made - drives the network growth chart
+        connectedAt: conn.createdAt || null
+      };
+
+      if (profile) {
+        connection.firstName = profile.firstName;
+        connection.lastName = profile.lastName;
+        connection.fullName = `${profile.firstName || ''} ${profile.lastName || ''}`.trim();
+        connection.headline = profile.headline;
+        connection.publicIdentifier = profile.publicIdentifier;
+        connection.entityUrn = profile.entityUrn;
+        connection.profileUrl = profile.publicIdentifier ?
+          `https://www.linkedin.com/in/${profile.publicIdentifier}` : null;
+        connection.memorialized = profile.memorialized || false;
+
+        // Location/industry when included inline - the enrichment pass fills in the rest
+        const context = getProfileContext(profile, entityLookup);
+        if (context.location) connection.locationName = context.location;
+        if (context.industry) connection.industry = context.industry;
+
+        // Get profile picture
+        if (profile.profilePicture?.displayImageReference?.vectorImage) {
+          const img = profile.profilePicture.displayImageReference.vectorImage;
+          const artifact = img.artifacts?.[0]?.fileIdentifyingUrlPathSegment || '';
+          connection.profilePicture = img.rootUrl ? (img.rootUrl + artifact) : null;
+        } else if (profile.profilePicture?.displayImageUrn) {
+          connection.profilePictureUrn = profile.profilePicture.displayImageUrn;
+        }
+      }
+
+      // Only add if we have profile data
+      if (connection.firstName || connection.publicIdentifier) {
+        connectionsData.connections.push(connection);
+      }
+    });
+
+    // Update paging info
+    if (result.data.data?.paging) {
+      connectionsData.paging = result.data.data.paging;
+    }
+
+    console.log(`[ServiceWorker] Processed ${connectionsData.connections.length} connections in this batch (raw: ${connectionObjects.length})`);
+
+    // Every connection on the page, parsed or not, so a full sync doesn't
+    // report the ones whose profile was missing from `included` as removed
+    const rawKeys = connectionObjects
+      .flatMap(conn => [conn.entityUrn, conn.connectedMember, conn['*connectedMemberResolutionResult']])
+      .filter(Boolean);
+
+    return {
+      success: true,
+      data: connectionsData,
+      connectionsCount: connectionsData.connections.length,
+      rawConnectionCount: connectionObjects.length,  // Raw count before filtering for pagination
+      rawKeys,
+      requestedCount: count
+    };
+  }
+
+  return result;
+}
+
+// ============================================
+// RESUMABLE CONNECTION SYNC
+// ============================================
+
+const SYNC_STAGING_STORE = 'connection_sync';
+const SYNC_SEEN_STORE = 'connection_sync_seen';
+const SYNC_PAGE_SIZE = 40; // LinkedIn uses 40 per page
+const FULL_RECONCILE_INTERVAL_DAYS = 7; // Incremental syncs fall back to a full run this often
+
+let activeConnectionSync = null;
+
+/**
+ * Fetch all connections as a resumable sync job
+ * The offset and each fetched page are checkpointed, so a worker restart resumes
+ * from the last completed page instead of starting over.
+ *
+ * mode 'full' re-reads the whole network and detects removed connections;
+ * mode 'incremental' stops paging at the first already-known connection.
+ */
+function fetchAllConnections(maxConnections = null, mode = 'full') {
+  if (!activeConnectionSync) {
+    activeConnectionSync = runConnectionSync(maxConnections, mode)
+      .finally(() => { activeConnectionSync = null; });
+  }
+  return activeConnectionSync;
+}
+
+/**
+ * Start a new sync job, sizing it from the connections summary
+ */
+async function createConnectionSyncJob(maxConnections, mode, existing) {
+  await clearRecords(SYNC_STAGING_STORE);
+  await clearRecords(SYNC_SEEN_STORE);
+
+  // Incremental only makes sense against a recent full baseline
+  const lastFull = existing?.lastFullSyncAt ? new Date(existing.lastFullSyncAt).getTime() : 0;
+  const reconcileDue = Date.now() - lastFull > FULL_RECONCILE_INTERVAL_DAYS * 24 * 60 * 60 * 1000;
+  if (mode === 'incremental' && (!existing?.connections?.length || reconcileDue || maxConnections)) {
+    mode = 'full';
+  }
+
+  const summary = await fetchConnectionsSummary();
+  const numConnections = summary.success ? summary.data.numConnections : null;
+
+  return {
+    status: 'running',
+    mode: mode,
+    start: 0,
+    pageSize: SYNC_PAGE_SIZE,
+    fetched: 0,
+    // Incremental runs only expect the connections made since the last sync
+    total: mode === 'incremental' && numConnections !== null
+      ? Math.max(numConnections - existing.connections.length, 0)
+      : numConnections,
+    maxConnections: maxConnections || null,
+    startedAt: new Date().toISOString(),
+    error: null
+  };
+}
+
+/**
+ * Persist the job checkpoint and report progress to the popup
+ */
+async function saveSyncJob(job) {
+  const target = job.maxConnections && job.total ? Math.min(job.total, job.maxConnections) : job.total;
+
+  job.updatedAt = new Date().toISOString();
+  job.percent = job.status === 'completed'
+    ? 100
+    : (target ? Math.min(99, Math.round((job.fetched / target) * 100)) : null);
+
+  await saveToStorage(STORAGE_KEYS.SYNC_JOB, job);
+
+  // No listener (popup closed) rejects - that's fine
+  chrome.runtime.sendMessage({ type: 'SYNC_PROGRESS', job }).catch(() => {});
+}
+
+/**
+ * Page through connections from the last checkpoint until the list is exhausted
+ * (or, in incremental mode, until a known connection shows up)
+ */
+async function runConnectionSync(maxConnections, mode) {
+  try {
+    const { keyOf } = BULK_DATASETS[STORAGE_KEYS.CONNECTIONS_DATA];
+    const existing = await getBulkDataset(STORAGE_KEYS.CONNECTIONS_DATA);
+    let job = (await getFromStorage(STORAGE_KEYS.SYNC_JOB)).data;
+
+    if (!job || job.status === 'completed') {
+      job = await createConnectionSyncJob(maxConnections, mode, existing);
+      console.log(`[ServiceWorker] Starting ${job.mode} connection sync (${job.total ?? 'unknown'} connections)...`);
+    } else {
+      job.status = 'running';
+      job.mode = job.mode || 'full';
+      job.error = null;
+      console.log(`[ServiceWorker] Resuming ${job.mode} connection sync at start=${job.start} (${job.fetched} fetched)`);
+    }
+
+    await saveSyncJob(job);
+
+    const knownKeys = new Set((existing?.connections || []).map(keyOf));
+
+    let hasMore = true;
+    while (hasMore && !(job.maxConnections && job.fetched >= job.maxConnections)) {
+      const result = await fetchConnections(job.start, job.pageSize);
+
+      if (!(result.success && result.data && result.data.connections)) {
+        // Keep the checkpoint - the next run picks up from this page
+        job.status = result.budgetExhausted ? 'paused' : 'failed';
+        job.error = result.error || 'Failed to fetch connections batch';
+        await saveSyncJob(job);
+        console.error('[ServiceWorker] Connection sync stopped at start:', job.start, job.error);
+        return { success: false, error: job.error, job };
+      }
+
+      let batchConnections = result.data.connections;
+
+      // Use RAW connection count for pagination (before filtering out profiles without data)
+      const rawCount = result.rawConnectionCount || batchConnections.length;
+      hasMore = rawCount >= job.pageSize;
+
+      // RECENTLY_ADDED order: everything after the first known connection is already stored
+      if (job.mode === 'incremental') {
+        const firstKnown = batchConnections.findIndex(c => knownKeys.has(keyOf(c)));
+        if (firstKnown !== -1) {
+          batchConnections = batchConnections.slice(0, firstKnown);
+          hasMore = false;
+        }
+      }
+
+      await putRecords(SYNC_STAGING_STORE, batchConnections, keyOf, job.start);
+      if (job.mode === 'full') {
+        await putRecords(SYNC_SEEN_STORE, (result.rawKeys || []).map(urn => ({ urn })), seen => seen.urn, job.start);
+      }
+
+      job.start += job.pageSize;
+      job.fetched = await countRecords(SYNC_STAGING_STORE);
+      await saveSyncJob(job);
+
+      console.log(`[ServiceWorker] Fetched ${job.fetched} connections so far (batch had ${batchConnections.length}, raw: ${rawCount})`);
+    }
+
+    const fetchedConnections = await getAllRecords(SYNC_STAGING_STORE);
+    const previous = existing?.connections || [];
+    let allConnections;
+    let added;
+    let removed = [];
+
+    if (job.mode === 'incremental') {
+      added = fetchedConnections;
+      const addedKeys = new Set(added.map(keyOf));
+      allConnections = [...added, ...previous.filter(c => !addedKeys.has(keyOf(c)))];
+    } else {
+      allConnections = job.maxConnections ? fetchedConnections.slice(0, job.maxConnections) : fetchedConnections;
+      added = allConnections.filter(c => !knownKeys.has(keyOf(c)));
+      // A capped run can't tell a removed connection from one past the cap
+      if (!job.maxConnections) {
+        // Still connected if LinkedIn listed them at all, even without a usable profile;
+        // those keep their stored record so the next sync doesn't count them as added
+        const seenKeys = new Set((await getAllRecords(SYNC_SEEN_STORE)).map(seen => seen.urn));
+        const fetchedKeys = new Set(allConnections.map(keyOf));
+        const wasSeen = c => [keyOf(c), c.entityUrn, c.connectionUrn, c.connectedMember].some(key => key && seenKeys.has(key));
+
+        removed = previous.filter(c => !fetchedKeys.has(keyOf(c)) && !wasSeen(c));
+        allConnections = allConnections.concat(previous.filter(c => !fetchedKeys.has(keyOf(c)) && wasSeen(c)));
+      }
+    }
+
+    // Fresh pages don't carry enrichment - restore it from the cache
+    allConnections = await applyCachedEnrichment(allConnections);
+
+    const now = new Date().toISOString();
+    const connectionsData = {
+      extractedAt: now,
+      source: 'direct_api',
+      syncMode: job.mode,
+      lastFullSyncAt: job.mode === 'full' ? now : existing?.lastFullSyncAt || null,
+      totalConnections: job.total !== null && job.mode === 'full' ? job.total : allConnections.length,
+      fetchedConnections: allConnections.length,
+      connections: allConnections
+    };
+
+    await saveToStorage(STORAGE_KEYS.CONNECTIONS_DATA, connectionsData);
+    await clearRecords(SYNC_STAGING_STORE);
+    await clearRecords(SYNC_SEEN_STORE);
+
+    // The first sync is the baseline, not a wave of new connections
+    if (previous.length > 0) {
+      await recordConnectionChanges(added, removed);
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+      await queueWebhookDelta('connections.synced', {
+        mode: job.mode,
+        added,
+        removed,
+        totalConnections: connectionsData.totalConnections
+      });
+    }
+
+    job.status = 'completed';
+    job.fetched = fetchedConnections.length;
+    job.added = added.length;
+    job.removed = removed.length;
+    job.completedAt = now;
+    await saveSyncJob(job);
+
+    console.log(`[ServiceWorker] Finished ${job.mode} sync: ${allConnections.length} connections (+${added.length} / -${removed.length})`);
+
+    return {
+      success: true,
+      data: connectionsData,
+      totalConnections: connectionsData.totalConnections,
+      fetchedConnections: allConnections.length,
+      added: added.length,
+      removed: removed.length
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Connection sync error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// CONNECTION CHANGE LOG
+// ============================================
+
+/**
+ * Append added/removed connections to the change log
+ */
+async function recordConnectionChanges(added, removed) {
+  if (added.length === 0 && removed.length === 0) return;
+
+  const { keyOf } = BULK_DATASETS[STORAGE_KEYS.CONNECTIONS_DATA];
+  const existing = await getFromStorage(STORAGE_KEYS.CONNECTION_CHANGES);
+  const changes = existing.data?.changes || [];
+  const detectedAt = new Date().toISOString();
+
+  const toChange = type => connection => ({
+    type: type,
+    key: keyOf(connection),
+    fullName: connection.fullName || null,
+    publicIdentifier: connection.publicIdentifier || null,
+    headline: connection.headline || null,
+    connectedAt: connection.connectedAt || null,
+    detectedAt: detectedAt
+  });
+
+  changes.push(...added.map(toChange('added')), ...removed.map(toChange('removed')));
+
+  await saveToStorage(STORAGE_KEYS.CONNECTION_CHANGES, {
+    changes: changes,
+    totalCount: changes.length,
+    lastUpdated: detectedAt
+  });
+}
+
+/**
+ * Get connection changes detected since a date, with added/removed totals
+ */
+async function getConnectionChanges(since) {
+  try {
+    const result = await getFromStorage(STORAGE_KEYS.CONNECTION_CHANGES);
+    const cutoff = since ? new Date(since).getTime() : 0;
+
+    const changes = (result.data?.changes || [])
+      .filter(change => new Date(change.detectedAt).getTime() >= cutoff);
+
+    return {
+      success: true,
+      data: {
+        since: since || null,
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        changes: changes
+      }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Error getting connection changes:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resume a sync that was interrupted by the worker being suspended
+ */
+async function resumeInterruptedSync() {
+  const result = await getFromStorage(STORAGE_KEYS.SYNC_JOB);
+  if (result.data?.status === 'running') {
+    console.log('[ServiceWorker] Found interrupted connection sync, resuming...');
+    fetchAllConnections(result.data.maxConnections, result.data.mode);
+  }
+}
+
+// ============================================
+// CONNECTION ENRICHMENT
+// ============================================
+
+const ENRICHMENT_STORE = 'connection_enrichment';
+const ENRICHMENT_TTL_DAYS = 30;
+const ENRICHMENT_FIELDS = ['position', 'company', 'companyUrn', 'industry', 'locationName'];
+const FETCH_ALL_ENRICHMENT_LIMIT = 25; // Keep a manual fetch quick; scheduled syncs do larger batches
+
+/**
+ * Copy cached enrichment onto connections (fresh syncs don't carry these fields)
+ */
+async function applyCachedEnrichment(connections) {
+  const cache = await getEnrichmentCache();
+
+  return connections.map(connection => {
+    const entry = cache.get(connection.entityUrn);
+    return entry ? mergeEnrichment(connection, entry) : connection;
+  });
+}
+
+/**
+ * Load the enrichment cache keyed by profile URN
+ */
+async function getEnrichmentCache() {
+  const entries = await getAllRecords(ENRICHMENT_STORE);
+  return new Map(entries.map(entry => [entry.urn, entry]));
+}
+
+/**
+ * Apply enrichment fields, overwriting values from an earlier enrichment but
+ * never ones the sync itself set. `enrichedFields` records which fields came
+ * from the cache, so a refetch after the TTL replaces them.
+ */
+function mergeEnrichment(connection, entry) {
+  const previous = new Set(connection.enrichedFields || []);
+  const merged = { ...connection, enrichedAt: entry.fetchedAt };
+  const enrichedFields = [];
+
+  ENRICHMENT_FIELDS.forEach(field => {
+    const fromEnrichment = previous.has(field) || !connection[field];
+    if (!fromEnrichment) return;
+
+    if (entry[field]) {
+      merged[field] = entry[field];
+      enrichedFields.push(field);
+    } else if (previous.has(field)) {
+      delete merged[field];
+    }
+  });
+
+  merged.enrichedFields = enrichedFields;
+  return merged;
+}
+
+/**
+ * Resolve current position, company, industry and location for stored connections
+ * Fresh cache entries are reused; up to `limit` stale or missing ones are fetched.
+ */
+async function enrichConnections(limit = 100) {
+  try {
+    // Don't race a sync that is about to replace the dataset
+    if (activeConnectionSync) await activeConnectionSync;
+
+    const dataset = await getBulkDataset(STORAGE_KEYS.CONNECTIONS_DATA);
+    if (!dataset?.connections?.length) {
+      return { success: false, error: 'No connections to enrich - fetch connections first' };
+    }
+
+    const cache = await getEnrichmentCache();
+    const cutoff = Date.now() - ENRICHMENT_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const isFresh = entry => entry && new Date(entry.fetchedAt).getTime() > cutoff;
+
+    const stale = dataset.connections.filter(c =>
+      c.entityUrn && c.publicIdentifier && !isFresh(cache.get(c.entityUrn))
+    );
+    const toFetch = stale.slice(0, limit);
+
+    console.log(`[ServiceWorker] Enriching ${toFetch.length} of ${stale.length} stale connections...`);
+
+    let fetched = 0;
+    let failed = 0;
+    for (const connection of toFetch) {
+      const entry = await fetchConnectionEnrichment(connection);
+
+      if (!entry) {
+        failed++;
+        continue;
+      }
+
+      // Stop early once the daily budget is gone - the rest waits for the next pass
+      if (entry.budgetExhausted) break;
+
+      await putRecords(ENRICHMENT_STORE, [entry], e => e.urn);
+      cache.set(entry.urn, entry);
+      fetched++;
+    }
+
+    const connections = dataset.connections.map(connection => {
+      const entry = cache.get(connection.entityUrn);
+      return entry ? mergeEnrichment(connection, entry) : connection;
+    });
+
+    await saveToStorage(STORAGE_KEYS.CONNECTIONS_DATA, { ...dataset, connections });
+
+    const enriched = connections.filter(c => c.enrichedAt).length;
+    console.log(`[ServiceWorker] Enrichment done: ${fetched} fetched, ${failed} failed, ${enriched}/${connections.length} enriched`);
+
+    return {
+      success: true,
+      data: {
+        fetched: fetched,
+        failed: failed,
+        remaining: stale.length - fetched,
+        enriched: enriched,
+        total: connections.length
+      }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Enrichment error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Look up one connection's top card and build a cache entry
+ */
+async function fetchConnectionEnrichment(connection) {
+  const id = encodeURIComponent(connection.publicIdentifier);
+  const result = await fetchLinkedInAPI(
+    `/voyager/api/identity/dash/profiles?q=memberIdentity&memberIdentity=${id}&decorationId=${DECORATION_IDS.FULL_PROFILE}`
+  );
+
+  if (!result.success) {
+    return result.budgetExhausted ? { budgetExhausted: true } : null;
+  }
+
+  const sections = parseProfileSections(result.data, connection.publicIdentifier);
+  const current = sections.positions.find(position => position.isCurrent) || sections.positions[0];
+
+  return {
+    urn: connection.entityUrn,
+    publicIdentifier: connection.publicIdentifier,
+    position: current?.title || null,
+    company: current?.companyName || null,
+    companyUrn: current?.companyUrn || null,
+    industry: sections.profile.industry || null,
+    locationName: sections.profile.location || null,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fetch feed posts from network (Top Hits feature like Taplio)
+ * NOTE: LinkedIn's feed API is heavily restricted and doesn't work with direct fetch.
+ * Feed posts are captured passively via content script when user browses their feed.
+ */
+async function fetchFeedPosts(count = 50) {
+  console.log('[ServiceWorker] Feed posts: using passive capture (direct API disabled)');
+
+  // Return empty - feed posts will be captured by content script when user browses feed
+  // LinkedIn's feed API requires browser cookies/context that extensions can't reliably access
+  return {
+    success: true,
+    data: {
+      posts: [],
+      topHits: [],
+      message: 'Feed posts captured passively when browsing LinkedIn feed'
+    }
+  };
+}
+
+/**
+ * Fetch user's own posts/activity
+ */
+async function fetchMyPosts(count = 20) {
+  console.log('[ServiceWorker] Fetching my posts...');
+
+  const postsData = {
+    extractedAt: new Date().toISOString(),
+    source: 'direct_api',
+    posts: [],
+    message: 'Posts data extracted from page interactions'
+  };
+
+  // Note: Direct feed API requires specific authentication that may not work from extension
+  // Posts are better captured via the injected script intercepting feed API calls
+
+  await saveToStorage(STORAGE_KEYS.POSTS_DATA, postsData);
+  console.log('[ServiceWorker] Posts endpoint skipped (use API interception instead)');
+
+  return { success: true, data: postsData };
+}
+
+// ============================================
+// MESSAGE HANDLING
+// ============================================
+
+/**
+ * Route a message to its handler
+ * Shared by runtime messages and the native host bridge (see NATIVE_METHODS).
+ */
+async function routeMessage(message) {
+  let response;
+
+  switch (message.type) {
+    // Cookie operations
+    case 'GET_COOKIES':
+      response = await getLinkedInCookies();
+      break;
+
+    case 'CHECK_AUTH':
+      response = await checkAuthentication();
+      break;
+
+    // Storage operations
+    case 'SAVE_DATA':
+      response = await saveToStorage(message.key, message.data);
+      break;
+
+    case 'GET_DATA':
+      response = await getFromStorage(message.key);
+      break;
+
+    case 'GET_ALL_DATA':
+      response = await getAllStoredData();
+      break;
+
+    case 'CLEAR_DATA':
+      response = await clearStorage();
+      break;
+
+    case 'APPEND_DATA':
+      response = await appendToStorage(message.key, message.data);
+      break;
+
+    case 'QUERY_DATASET':
+      response = await queryDataset(message.key, message.index, {
+        value: message.value,
+        from: message.from,
+        to: message.to,
+        limit: message.limit
+      });
+      break;
+
+    // Captured API data from content script
+    case 'API_CAPTURED':
+      console.log('[ServiceWorker] API_CAPTURED received:', message.endpoint);
+      response = await appendToStorage(STORAGE_KEYS.CAPTURED_APIS, {
+        endpoint: message.endpoint,
+        method: message.method,
+        responseData: message.data,
+        url: message.url
+      });
+      console.log('[ServiceWorker] API_CAPTURED stored, result:', response);
+      break;
+
+    case 'PROFILE_CAPTURED':
+      response = await saveToStorage(STORAGE_KEYS.PROFILE_DATA, message.data);
+      await recordMetricSnapshot(STORAGE_KEYS.PROFILE_DATA, message.data, message.data?.source);
+      break;
+
+    case 'ANALYTICS_CAPTURED':
+      console.log('[ServiceWorker] ANALYTICS_CAPTURED received:', message.data);
+      response = await saveToStorage(STORAGE_KEYS.ANALYTICS_DATA, message.data);
+      await recordMetricSnapshot(STORAGE_KEYS.ANALYTICS_DATA, message.data, message.data?.source);
+      console.log('[ServiceWorker] Analytics saved to storage:', response);
+      break;
+
+    case 'POST_ANALYTICS_CAPTURED':
+      console.log('[ServiceWorker] POST_ANALYTICS_CAPTURED received:', message.data?.activityUrn);
+      response = await savePostAnalyticsToStorage(message.data);
+      console.log('[ServiceWorker] Post analytics saved:', response);
+      break;
+
+    case 'AUDIENCE_DATA_CAPTURED':
+      console.log('[ServiceWorker] AUDIENCE_DATA_CAPTURED received:', message.data?.totalFollowers);
+      response = await saveAudienceDataToStorage(message.data);
+      console.log('[ServiceWorker] Audience data saved:', response);
+      break;
+
+    case 'SAVE_FEED_POSTS':
+      // Save feed posts with deduplication and sorting by engagement
+      response = await saveFeedPostsToStorage(message.posts);
+      break;
+
+    case 'SAVE_COMMENTS':
+      // Save comments with deduplication
+      response = await saveCommentsToStorage(message.comments);
+      break;
+
+    case 'SAVE_MY_POSTS':
+      // Save your own posts with analytics
+      response = await saveMyPostsToStorage(message.posts);
+      break;
+
+    case 'SAVE_FOLLOWERS':
+      // Save followers data
+      response = await saveFollowersToStorage(message.data);
+      break;
+
+    case 'SAVE_TRENDING':
+      // Save trending topics
+      response = await saveTrendingToStorage(message.topics);
+      break;
+
+    // Export operations
+    case 'EXPORT_JSON':
+      response = await exportAsJSON();
+      break;
+
+    case 'GET_SCHEMA_VERSION':
+      response = await getFromStorage(STORAGE_KEYS.SCHEMA_VERSION);
+      break;
+
+    case 'IMPORT_JSON':
+      response = await importFromJSON(message.content, message.mode);
+      break;
+
+    case 'EXPORT_XLSX':
+      response = await exportAsXLSX();
+      break;
+
+    case 'EXPORT_CSV':
+      response = await exportAsCSV(message.dataKey);
+      break;
+
+    case 'EXPORT_HTML_REPORT':
+      response = await exportAsHTMLReport();
+      break;
+
+    case 'GET_CRM_PRESETS':
+      response = await getCRMPresets();
+      break;
+
+    case 'SAVE_CRM_PRESET':
+      response = await saveCRMPreset(message.presetId, message.preset);
+      break;
+
+    case 'EXPORT_CRM':
+      response = await exportAsCRM(message.presetId, message.connectionKeys);
+      break;
+
+    case 'EXPORT_SQLITE':
+      response = await exportAsSQLite();
+      break;
+
+    case 'EXPORT_MARKDOWN':
+      response = await exportAsMarkdownVault();
+      break;
+
+    case 'EXPORT_VCARD':
+      response = await exportAsVCard(message.connectionKeys);
+      break;
+
+    case 'EXPORT_CONNECTION_SELECTION':
+      response = await exportConnectionSelection({
+        connectionKeys: message.connectionKeys,
+        format: message.format,
+        columns: message.columns
+      });
+      break;
+
+    // Developer capture (fixtures / HAR)
+    case 'RECORD_CAPTURE':
+      response = await recordCapture(message);
+      break;
+
+    case 'GET_CAPTURE_RECORDING_STATUS':
+      response = await getCaptureRecordingStatus();
+      break;
+
+    case 'EXPORT_CAPTURE_FIXTURES':
+      response = await exportCaptureFixtures();
+      break;
+
+    case 'CLEAR_CAPTURE_RECORDINGS':
+      response = await clearCaptureRecordings();
+      break;
+
+    case 'HAR_ENTRY':
+      response = await recordHarEntry(message);
+      break;
+
+    case 'GET_HAR_STATUS':
+      response = await getHarStatus();
+      break;
+
+    case 'EXPORT_HAR':
+      response = await exportAsHAR();
+      break;
+
+    case 'CLEAR_HAR':
+      response = await clearHarEntries();
+      break;
+
+    // Metric history (time series)
+    case 'GET_METRIC_SNAPSHOTS':
+      response = await getMetricSnapshots(message.from, message.to);
+      break;
+
+    case 'GET_METRIC_SERIES':
+      response = await getMetricSeries(message.metric, message.days || 30);
+      break;
+
+    case 'GET_METRIC_TRENDS':
+      response = await getMetricTrends(message.days || 7);
+      break;
+
+    // Get statistics
+    case 'GET_STATS':
+      try {
+        await ensureBulkDatasetsMigrated();
+        const capturedApisStore = BULK_DATASETS[STORAGE_KEYS.CAPTURED_APIS].store;
+        const lastCapturedApi = await getLastRecord(capturedApisStore);
+        const profile = (await getFromStorage(STORAGE_KEYS.PROFILE_DATA)).data;
+        const analytics = (await getFromStorage(STORAGE_KEYS.ANALYTICS_DATA)).data;
+        const connections = (await getFromStorage(STORAGE_KEYS.CONNECTIONS_DATA)).data;
+
+        response = {
+          success: true,
+          stats: {
+            apisCaptured: await countRecords(capturedApisStore),
+            hasProfile: !!profile,
+            hasAnalytics: !!analytics,
+            hasConnections: !!connections,
+            connectionsCount: connections?.connections?.length || connections?.fetchedConnections || 0,
+            totalConnections: connections?.totalConnections || 0,
+            lastCapture: lastCapturedApi ? lastCapturedApi.capturedAt : null
+          }
+        };
+      } catch (error) {
+        response = { success: false, error: error.message };
+      }
+      break;
+
+    // Direct API calls (like Taplio)
+    case 'FETCH_PROFILE':
+      response = await fetchMyProfile();
+      break;
+
+    case 'ENRICH_CONNECTIONS':
+      response = await enrichConnections(message.limit);
+      break;
+
+    case 'FETCH_FULL_PROFILE':
+      response = await fetchFullProfile(message.publicIdentifier);
+      break;
+
+    case 'FETCH_ANALYTICS':
+      response = await fetchAnalytics();
+      break;
+
+    case 'FETCH_CONNECTIONS':
+      response = await fetchConnections(message.start || 0, message.count || 100);
+      break;
+
+    case 'FETCH_CONNECTIONS_SUMMARY':
+      response = await fetchConnectionsSummary();
+      break;
+
+    case 'FETCH_ALL_CONNECTIONS':
+      response = await fetchAllConnections(message.maxConnections, message.mode || 'full');
+      break;
+
+    case 'FETCH_POSTS':
+      response = await fetchMyPosts(message.count || 20);
+      break;
+
+    case 'FETCH_FEED_POSTS':
+      response = await fetchFeedPosts(message.count || 50);
+      break;
+
+    case 'UPDATE_SETTINGS':
+      response = await updateSettings(message.settings || {});
+      break;
+
+    case 'GET_SCHEDULED_SYNC_STATUS':
+      response = await getScheduledSyncStatus();
+      break;
+
+    case 'RUN_SCHEDULED_SYNC':
+      response = await runScheduledSync('manual');
+      break;
+
+    case 'GET_CONNECTION_CHANGES':
+      response = await getConnectionChanges(message.since);
+      break;
+
+    case 'GET_SYNC_STATUS':
+      response = await getFromStorage(STORAGE_KEYS.SYNC_JOB);
+      break;
+
+    case 'GET_WEBHOOK_STATUS':
+      response = await getWebhookStatus();
+      break;
+
+    case 'TEST_WEBHOOK':
+      response = await testWebhook();
+      break;
+
+    case 'RETRY_WEBHOOKS':
+      response = await retryWebhookQueue();
+      break;
+
+    case 'CLEAR_WEBHOOK_QUEUE':
+      response = await clearWebhookQueue();
+      break;
+
+    case 'GET_NATIVE_HOST_STATUS':
+      response = getNativeHostStatus();
+      break;
+
+    case 'GET_EXTERNAL_API_STATUS':
+      response = await getExternalApiStatus();
+      break;
+
+    case 'SAVE_EXTERNAL_API_CLIENT':
+      response = await saveExternalApiClient(message.extensionId, message.client);
+      break;
+
+    case 'GET_REQUEST_STATUS':
+      response = await getRequestStatus();
+      break;
+
+    case 'FETCH_ALL_DATA':
+      // Fetch all data at once (Taplio-style)
+      console.log('[ServiceWorker] Fetching all data...');
+
+      // Fetch profile and analytics in parallel first
+      const [profileResult, analyticsResult] = await Promise.all([
+        fetchMyProfile(),
+        fetchAnalytics()
+      ]);
+
+      // Full CV-style profile (positions, education, skills, ...)
+      const fullProfileResult = await fetchFullProfile(profileResult.data?.publicIdentifier);
+
+      // Then sync connections (incremental, with a periodic full reconciliation)
+      const connectionsResult = await fetchAllConnections(null, 'incremental');
+
+      // Fill in company/industry/location for a batch of connections (cached per URN)
+      const enrichmentResult = await enrichConnections(FETCH_ALL_ENRICHMENT_LIMIT);
+      if (enrichmentResult.success && connectionsResult.success) {
+        connectionsResult.data = await getBulkDataset(STORAGE_KEYS.CONNECTIONS_DATA);
+      }
+
+      // Feed posts disabled - LinkedIn API requires browser context
+      // Posts will be captured passively via content script when user browses feed
+      const feedPostsResult = { success: true, data: { posts: [], topHits: [] } };
+
+      response = {
+        success: true,
+        profile: profileResult,
+        fullProfile: fullProfileResult,
+        analytics: analyticsResult,
+        connections: connectionsResult,
+        posts: feedPostsResult
+      };
+      console.log('[ServiceWorker] All data fetched successfully');
+      console.log(`[ServiceWorker] Connections: ${connectionsResult.fetchedConnections}`);
+      break;
+
+    default:
+      response = { success: false, error: 'Unknown message type' };
+  }
+
+  return response;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log('[ServiceWorker] Received message:', message.type);
+
+  // Handle async operations
+  routeMessage(message).then(sendResponse);
+
+  // Return true to indicate async response
+  return true;
+});
+
+// ============================================
+// EXTERNAL MESSAGE API
+// ============================================
+
+// Bump when a method's request or response shape changes incompatibly
+const EXTERNAL_API_VERSION = 1;
+const EXTERNAL_API_AUDIT_LIMIT = 500;
+
+// What an allowlisted extension can be granted. GET_DATA needs the scope listing its key.
+const EXTERNAL_API_SCOPES = {
+  profile: { label: 'Profile', keys: [STORAGE_KEYS.PROFILE_DATA, STORAGE_KEYS.FULL_PROFILE] },
+  analytics: {
+    label: 'Analytics',
+    keys: [
+      STORAGE_KEYS.ANALYTICS_DATA,
+      STORAGE_KEYS.POST_ANALYTICS_DATA,
+      STORAGE_KEYS.AUDIENCE_DATA,
+      STORAGE_KEYS.FOLLOWERS,
+      STORAGE_KEYS.METRIC_SNAPSHOTS
+    ]
+  },
+  connections: { label: 'Connections', keys: [STORAGE_KEYS.CONNECTIONS_DATA, STORAGE_KEYS.CONNECTION_CHANGES] },
+  posts: {
+    label: 'Posts',
+    keys: [STORAGE_KEYS.FEED_POSTS, STORAGE_KEYS.MY_POSTS, STORAGE_KEYS.COMMENTS, STORAGE_KEYS.TRENDING]
+  },
+  stats: { label: 'Stats', keys: [] },
+  export: { label: 'Full export', keys: [] }
+};
+
+// Never handed to another extension, even in a full export
+const EXTERNAL_EXPORT_EXCLUDED_KEYS = [
+  STORAGE_KEYS.AUTH_DATA,
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.WEBHOOK_LOG,
+  STORAGE_KEYS.EXTERNAL_API_AUDIT
+];
+
+// The stable subset of the message router other extensions may call
+const EXTERNAL_API_METHODS = {
+  GET_DATA: {
+    scope: message => Object.keys(EXTERNAL_API_SCOPES)
+      .find(scope => EXTERNAL_API_SCOPES[scope].keys.includes(message.key)) || null,
+    run: message => getFromStorage(message.key)
+  },
+  GET_STATS: {
+    scope: () => 'stats',
+    run: () => routeMessage({ type: 'GET_STATS' })
+  },
+  EXPORT_JSON: {
+    scope: () => 'export',
+    run: () => exportAsJSON(EXTERNAL_EXPORT_EXCLUDED_KEYS)
+  }
+};
+
+let auditLock = Promise.resolve();
+
+/**
+ * Check an allowlisted caller, its API version and scope, then run the method
+ * Every call - allowed or not - lands in the audit log.
+ */
+async function handleExternalMessage(message, sender) {
+  const callerId = sender.id || null;
+  const type = typeof message?.type === 'string' ? message.type.slice(0, 100) : null;
+  const key = typeof message?.key === 'string' ? message.key.slice(0, 100) : null;
+
+  const respond = (response, audit) => {
+    recordExternalApiCall({ callerId, type, key, ...audit });
+    return { apiVersion: EXTERNAL_API_VERSION, ...response };
+  };
+  const deny = (reason, error) => respond({ success: false, error }, { allowed: false, reason });
+
+  try {
+    const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+    const client = settings.data?.externalApiClients?.[callerId];
+
+    if (!client) {
+      return deny('not_allowlisted', 'This extension is not allowed to access LinkedIn Data Extractor');
+    }
+    if (message?.apiVersion !== EXTERNAL_API_VERSION) {
+      return deny('unsupported_version', `Unsupported apiVersion (expected ${EXTERNAL_API_VERSION})`);
+    }
+
+    if (type === 'GET_API_INFO') {
+      return respond({
+        success: true,
+        data: { methods: ['GET_API_INFO', ...Object.keys(EXTERNAL_API_METHODS)], scopes: client.scopes }
+      }, { allowed: true });
+    }
+
+    const method = EXTERNAL_API_METHODS[type];
+    if (!method) {
+      return deny('unknown_type', `Unknown message type: ${type}`);
+    }
+
+    const scope = method.scope(message);
+    if (!scope) {
+      return deny('unknown_dataset', `Dataset not available: ${message.key}`);
+    }
+    if (!client.scopes.includes(scope)) {
+      return deny('missing_scope', `Missing scope: ${scope}`);
+    }
+
+    const response = await method.run(message);
+    return respond(response, { allowed: true, scope, error: response.success ? null : response.error });
+  } catch (error) {
+    console.error('[ServiceWorker] External message error:', error);
+    return respond({ success: false, error: error.message }, { allowed: true, error: error.message });
+  }
+}
+
+/**
+ * Append one call to the audit log (newest first, capped)
+ * Calls are chained so concurrent requests don't overwrite each other's entries.
+ */
+function recordExternalApiCall(entry) {
+  auditLock = auditLock.then(async () => {
+    const existing = await getFromStorage(STORAGE_KEYS.EXTERNAL_API_AUDIT);
+    const entries = existing.data?.entries || [];
+
+    entries.unshift({ at: new Date().toISOString(), ...entry });
+    await saveToStorage(STORAGE_KEYS.EXTERNAL_API_AUDIT, {
+      entries: entries.slice(0, EXTERNAL_API_AUDIT_LIMIT),
+      lastUpdated: new Date().toISOString()
+    });
+  }).catch(error => console.error('[ServiceWorker] Error writing external API audit log:', error));
+  return auditLock;
+}
+
+/**
+ * Allowlisted callers, the grantable scopes and recent audit entries for the popup
+ */
+async function getExternalApiStatus() {
+  const [settings, audit] = await Promise.all([
+    getFromStorage(STORAGE_KEYS.SETTINGS),
+    getFromStorage(STORAGE_KEYS.EXTERNAL_API_AUDIT)
+  ]);
+
+  return {
+    success: true,
+    data: {
+      apiVersion: EXTERNAL_API_VERSION,
+      clients: settings.data?.externalApiClients || {},
+      scopes: Object.fromEntries(Object.entries(EXTERNAL_API_SCOPES).map(([id, scope]) => [id, scope.label])),
+      audit: (audit.data?.entries || []).slice(0, 50)
+    }
+  };
+}
+
+/**
+ * Allow an extension (or change its scopes); a null client revokes it
+ */
+async function saveExternalApiClient(extensionId, client) {
+  if (!/^[a-p]{32}$/.test(extensionId || '')) {
+    return { success: false, error: 'Extension IDs are 32 letters a-p' };
+  }
+
+  const scopes = client?.scopes || [];
+  const unknown = scopes.filter(scope => !EXTERNAL_API_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown scope: ${unknown.join(', ')}` };
+  }
+
+  const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const clients = { ...settings.data?.externalApiClients };
+
+  if (client === null) {
+    delete clients[extensionId];
+  } else {
+    clients[extensionId] = {
+      label: client.label || clients[extensionId]?.label || extensionId,
+      scopes,
+      addedAt: clients[extensionId]?.addedAt || new Date().toISOString()
+    };
+  }
+
+  const result = await updateSettings({ externalApiClients: clients });
+  if (!result.success) return result;
+  return getExternalApiStatus();
+}
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  console.log('[ServiceWorker] External message from', sender.id, message?.type);
+
+  handleExternalMessage(message, sender).then(sendResponse);
+
+  // Return true to indicate async response
+  return true;
+});
+
+// ============================================
+// SCHEDULED BACKGROUND SYNC
+// ============================================
+
+const SYNC_ALARM_NAME = 'scheduled-sync';
+
+// Datasets the scheduler can refresh, in the order they run
+const SCHEDULED_SYNC_TASKS = {
+  profile: () => fetchMyProfile(),
+  fullProfile: () => fetchFullProfile(),
+  analytics: () => fetchAnalytics(), // Includes WVMP (who viewed my profile)
+  connections: () => fetchAllConnections(null, 'incremental'),
+  enrichment: () => enrichConnections()
+};
+
+/**
+ * Create or clear the sync alarm to match the settings
  */
-async function fetchAllConnections(maxConnections = 500) {
-  const allConnections = [];
-  let start = 0;
-  const pageSize = 40; // LinkedIn uses 40 per page
-  let hasMore = true;
+async function configureSyncAlarm(settings) {
+  await chrome.alarms.clear(SYNC_ALARM_NAME);
 
-  console.log('[ServiceWorker] Starting to fetch all connections...');
+  if (!settings?.syncEnabled) {
+    console.log('[ServiceWorker] Scheduled sync disabled');
+    return;
+  }
 
-  // Fetch connections in batches until we get fewer than requested (end of list)
-  while (hasMore && allConnections.length < maxConnections) {
-    const result = await fetchConnections(start, pageSize);
+  const periodInMinutes = Math.max(1, (settings.syncIntervalHours || DEFAULT_SETTINGS.syncIntervalHours) * 60);
+  chrome.alarms.create(SYNC_ALARM_NAME, { periodInMinutes, delayInMinutes: periodInMinutes });
+  console.log(`[ServiceWorker] Scheduled sync every ${periodInMinutes} minutes`);
+}
 
-    if (result.success && result.data && result.data.connections) {
-      const batchConnections = result.data.connections;
+/**
+ * Merge a settings change into the stored settings and reschedule
+ */
+async function updateSettings(changes) {
+  try {
+    const existing = await getFromStorage(STORAGE_KEYS.SETTINGS);
+    const settings = normalizeWebhookSettings({ ...DEFAULT_SETTINGS, ...existing.data, ...changes });
 
-      // Avoid duplicates using Set
-      const existingIds = new Set(allConnections.map(c =>
-        c.publicIdentifier || c.entityUrn || c.connectionUrn
-      ));
+    await saveToStorage(STORAGE_KEYS.SETTINGS, settings);
+    await configureSyncAlarm(settings);
+    // Only toggling the bridge relaunches a host that exited or was given up on
+    if ('nativeHostEnabled' in changes) await configureNativeHost(settings);
 
-      const newConnections = batchConnections.filter(c => {
-        const id = c.publicIdentifier || c.entityUrn || c.connectionUrn;
-        return id && !existingIds.has(id);
-      });
+    return { success: true, data: settings };
+  } catch (error) {
+    console.error('[ServiceWorker] Error updating settings:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-      allConnections.push(...newConnections);
-      console.log(`[ServiceWorker] Fetched ${allConnections.length} connections so far (batch had ${batchConnections.length}, raw: ${result.rawConnectionCount})`);
+/**
+ * Run every dataset selected in settings, recording the outcome
+ */
+async function runScheduledSync(trigger = 'alarm') {
+  const startedAt = new Date().toISOString();
+  const settingsResult = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const settings = { ...DEFAULT_SETTINGS, ...settingsResult.data };
+
+  const auth = await checkAuthentication();
+  if (!auth.isAuthenticated) {
+    console.log('[ServiceWorker] Scheduled sync skipped - not logged into LinkedIn');
+    return saveScheduledSyncStatus({ trigger, startedAt, status: 'skipped', error: 'Not authenticated', results: {} });
+  }
 
-      // Use RAW connection count for pagination (before filtering out profiles without data)
-      const rawCount = result.rawConnectionCount || batchConnections.length;
-      if (rawCount < pageSize) {
-        hasMore = false;
-        console.log('[ServiceWorker] Reached end of connections list');
-      }
-    } else {
-      console.error('[ServiceWorker] Failed to fetch connections batch at start:', start);
-      break;
-    }
+  console.log(`[ServiceWorker] Running scheduled sync (${trigger}):`, settings.syncDatasets.join(', '));
 
-    start += pageSize;
+  const results = {};
+  for (const dataset of Object.keys(SCHEDULED_SYNC_TASKS)) {
+    if (!settings.syncDatasets.includes(dataset)) continue;
 
-    // Small delay to avoid rate limiting
-    if (hasMore) {
-      await new Promise(resolve => setTimeout(resolve, 300));
+    try {
+      const result = await SCHEDULED_SYNC_TASKS[dataset]();
+      results[dataset] = { success: !!result.success, error: result.success ? null : result.error };
+    } catch (error) {
+      console.error(`[ServiceWorker] Scheduled sync of ${dataset} failed:`, error);
+      results[dataset] = { success: false, error: error.message };
     }
   }
 
-  const connectionsData = {
-    extractedAt: new Date().toISOString(),
-    source: 'direct_api',
-    totalConnections: allConnections.length,
-    fetchedConnections: allConnections.length,
-    connections: allConnections
-  };
+  const outcomes = Object.values(results);
+  const succeeded = outcomes.filter(result => result.success).length;
+  const status = succeeded === outcomes.length ? 'success' : succeeded > 0 ? 'partial' : 'failed';
 
-  await saveToStorage(STORAGE_KEYS.CONNECTIONS_DATA, connectionsData);
-  console.log(`[ServiceWorker] Finished fetching ${allConnections.length} connections`);
+  return saveScheduledSyncStatus({ trigger, startedAt, status, error: null, results });
+}
 
-  return {
-    success: true,
-    data: connectionsData,
-    totalConnections: allConnections.length,
-    fetchedConnections: allConnections.length
+/**
+ * Persist the last-run status alongside the next scheduled run
+ */
+async function saveScheduledSyncStatus(run) {
+  const alarm = await chrome.alarms.get(SYNC_ALARM_NAME);
+  const status = {
+    ...run,
+    finishedAt: new Date().toISOString(),
+    nextRunAt: alarm ? new Date(alarm.scheduledTime).toISOString() : null
   };
+
+  await saveToStorage(STORAGE_KEYS.SCHEDULED_SYNC_STATUS, status);
+  return { success: status.status !== 'failed', data: status };
 }
 
 /**
- * Fetch feed posts from network (Top Hits feature like Taplio)
- * NOTE: LinkedIn's feed API is heavily restricted and doesn't work with direct fetch.
- * Feed posts are captured passively via content script when user browses their feed.
+ * Get the last scheduled run and the next one
  */
-async function fetchFeedPosts(count = 50) {
-  console.log('[ServiceWorker] Feed posts: using passive capture (direct API disabled)');
+async function getScheduledSyncStatus() {
+  const result = await getFromStorage(STORAGE_KEYS.SCHEDULED_SYNC_STATUS);
+  const alarm = await chrome.alarms.get(SYNC_ALARM_NAME);
 
-  // Return empty - feed posts will be captured by content script when user browses feed
-  // LinkedIn's feed API requires browser cookies/context that extensions can't reliably access
   return {
     success: true,
     data: {
-      posts: [],
-      topHits: [],
-      message: 'Feed posts captured passively when browsing LinkedIn feed'
+      ...result.data,
+      nextRunAt: alarm ? new Date(alarm.scheduledTime).toISOString() : null
     }
   };
 }
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM_NAME) {
+    runScheduledSync('alarm');
+  }
+});
+
+// ============================================
+// WEBHOOK DELIVERY
+// ============================================
+
+const WEBHOOK_QUEUE_STORE = 'webhook_queue';
+const WEBHOOK_ALARM_NAME = 'webhook-retry';
+
+const WEBHOOK_LIMITS = {
+  TIMEOUT_MS: 10000,
+  MAX_ATTEMPTS: 8,
+  BASE_BACKOFF_MS: 60000,    // chrome.alarms won't fire more often than every 30s anyway
+  MAX_BACKOFF_MS: 3600000,
+  MAX_QUEUED: 500,           // Oldest deliveries are dropped (and logged) past this
+  MAX_LOG_ENTRIES: 200
+};
+
+// Deltas only ever leave the machine for a loopback address
+const WEBHOOK_HOSTS = ['localhost', '127.0.0.1'];
+
+let webhookFlush = null;
+let lastWebhookQueueKey = 0;
+
 /**
- * Fetch user's own posts/activity
+ * Check a webhook URL points at a local HTTP(S) endpoint
  */
-async function fetchMyPosts(count = 20) {
-  console.log('[ServiceWorker] Fetching my posts...');
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
 
-  const postsData = {
-    extractedAt: new Date().toISOString(),
-    source: 'direct_api',
-    posts: [],
-    message: 'Posts data extracted from page interactions'
-  };
+  if (!['http:', 'https:'].includes(parsed.protocol) || !WEBHOOK_HOSTS.includes(parsed.hostname)) {
+    throw new Error('Webhook URL must be http(s)://localhost or 127.0.0.1');
+  }
+  return parsed.href;
+}
 
-  // Note: Direct feed API requires specific authentication that may not work from extension
-  // Posts are better captured via the injected script intercepting feed API calls
+/**
+ * Random hex secret for signing deliveries
+ */
+function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
 
-  await saveToStorage(STORAGE_KEYS.POSTS_DATA, postsData);
-  console.log('[ServiceWorker] Posts endpoint skipped (use API interception instead)');
+/**
+ * Validate the webhook fields of a settings change, creating a secret on first enable
+ */
+function normalizeWebhookSettings(settings) {
+  if (settings.webhookUrl) {
+    settings.webhookUrl = validateWebhookUrl(settings.webhookUrl);
+  }
+  if (settings.webhookEnabled && !settings.webhookUrl) {
+    throw new Error('Set a webhook URL before enabling delivery');
+  }
+  if (settings.webhookEnabled && !settings.webhookSecret) {
+    settings.webhookSecret = generateWebhookSecret();
+  }
+  return settings;
+}
 
-  return { success: true, data: postsData };
+/**
+ * Current settings when webhook delivery is on, otherwise null
+ */
+async function getWebhookSettings() {
+  const result = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const settings = { ...DEFAULT_SETTINGS, ...result.data };
+  return settings.webhookEnabled && settings.webhookUrl ? settings : null;
 }
 
-// ============================================
-// MESSAGE HANDLING
-// ============================================
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" as hex
+ */
+async function signWebhookBody(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[ServiceWorker] Received message:', message.type);
+/**
+ * Queue a delta for the local webhook (no-op unless the integration is enabled)
+ * Delivery happens in the background; callers only wait for the queue write.
+ */
+async function queueWebhookDelta(event, delta) {
+  try {
+    const settings = await getWebhookSettings();
+    if (!settings) return;
+
+    const id = generateUUID();
+    const body = JSON.stringify({
+      id,
+      event,
+      occurredAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      delta
+    });
 
-  // Handle async operations
-  (async () => {
-    let response;
+    // Keys double as queue order, so keep them increasing within this worker
+    lastWebhookQueueKey = Math.max(Date.now(), lastWebhookQueueKey + 1);
+    await putRecords(WEBHOOK_QUEUE_STORE, [{
+      key: lastWebhookQueueKey,
+      id,
+      event,
+      body,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: Date.now()
+    }], delivery => delivery.key);
+
+    let queued = await countRecords(WEBHOOK_QUEUE_STORE);
+    while (queued-- > WEBHOOK_LIMITS.MAX_QUEUED) {
+      const oldest = await getFirstRecord(WEBHOOK_QUEUE_STORE);
+      await deleteRecord(WEBHOOK_QUEUE_STORE, oldest.key);
+      await logWebhookDelivery(oldest, { status: 'dropped', error: 'Queue full' });
+    }
 
-    switch (message.type) {
-      // Cookie operations
-      case 'GET_COOKIES':
-        response = await getLinkedInCookies();
-        break;
+    flushWebhookQueue();
+  } catch (error) {
+    console.error('[ServiceWorker] Error queueing webhook delta:', error);
+  }
+}
 
-      case 'CHECK_AUTH':
-        response = await checkAuthentication();
-        break;
+/**
+ * POST one delivery, signed with the current secret
+ */
+async function postWebhook(settings, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
 
-      // Storage operations
-      case 'SAVE_DATA':
-        response = await saveToStorage(message.key, message.data);
-        break;
+  try {
+    const response = await fetch(settings.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${await signWebhookBody(settings.webhookSecret, timestamp, delivery.body)}`
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(WEBHOOK_LIMITS.TIMEOUT_MS)
+    });
 
-      case 'GET_DATA':
-        response = await getFromStorage(message.key);
-        break;
+    return {
+      ok: response.ok,
+      httpStatus: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      httpStatus: null,
+      error: error.name === 'TimeoutError' ? 'Timed out' : error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
 
-      case 'GET_ALL_DATA':
-        response = await getAllStoredData();
-        break;
+/**
+ * Deliver queued deltas oldest first, one flush at a time
+ */
+function flushWebhookQueue() {
+  if (!webhookFlush) {
+    webhookFlush = deliverQueuedWebhooks().finally(() => {
+      webhookFlush = null;
+    });
+  }
+  return webhookFlush;
+}
 
-      case 'CLEAR_DATA':
-        response = await clearStorage();
-        break;
+/**
+ * Work through the queue until it's empty or the head has to wait for a retry
+ * Deliveries stay in order: a failing head holds back everything queued after it.
+ */
+async function deliverQueuedWebhooks() {
+  try {
+    const settings = await getWebhookSettings();
+    if (!settings) return;
+
+    let delivery;
+    while ((delivery = await getFirstRecord(WEBHOOK_QUEUE_STORE))) {
+      if (delivery.nextAttemptAt > Date.now()) {
+        chrome.alarms.create(WEBHOOK_ALARM_NAME, { when: delivery.nextAttemptAt });
+        return;
+      }
 
-      case 'APPEND_DATA':
-        response = await appendToStorage(message.key, message.data);
-        break;
+      const result = await postWebhook(settings, delivery);
+      delivery.attempts++;
 
-      // Captured API data from content script
-      case 'API_CAPTURED':
-        console.log('[ServiceWorker] API_CAPTURED received:', message.endpoint);
-        response = await appendToStorage(STORAGE_KEYS.CAPTURED_APIS, {
-          endpoint: message.endpoint,
-          method: message.method,
-          responseData: message.data,
-          url: message.url
-        });
-        console.log('[ServiceWorker] API_CAPTURED stored, result:', response);
-        break;
+      if (result.ok) {
+        await deleteRecord(WEBHOOK_QUEUE_STORE, delivery.key);
+        await logWebhookDelivery(delivery, { ...result, status: 'delivered' });
+        continue;
+      }
 
-      case 'PROFILE_CAPTURED':
-        response = await saveToStorage(STORAGE_KEYS.PROFILE_DATA, message.data);
-        break;
+      if (delivery.attempts >= WEBHOOK_LIMITS.MAX_ATTEMPTS) {
+        await deleteRecord(WEBHOOK_QUEUE_STORE, delivery.key);
+        await logWebhookDelivery(delivery, { ...result, status: 'failed' });
+        continue;
+      }
 
-      case 'ANALYTICS_CAPTURED':
-        console.log('[ServiceWorker] ANALYTICS_CAPTURED received:', message.data);
-        response = await saveToStorage(STORAGE_KEYS.ANALYTICS_DATA, message.data);
-        console.log('[ServiceWorker] Analytics saved to storage:', response);
-        break;
+      const backoff = Math.min(
+        WEBHOOK_LIMITS.BASE_BACKOFF_MS * Math.pow(2, delivery.attempts - 1),
+        WEBHOOK_LIMITS.MAX_BACKOFF_MS
+      );
+      delivery.nextAttemptAt = Date.now() + backoff;
+      delivery.lastError = result.error;
+      await putRecords(WEBHOOK_QUEUE_STORE, [delivery], record => record.key);
+      await logWebhookDelivery(delivery, { ...result, status: 'retrying' });
+
+      console.warn(`[ServiceWorker] Webhook delivery ${delivery.id} failed (${result.error}), retrying in ${backoff / 1000}s`);
+      chrome.alarms.create(WEBHOOK_ALARM_NAME, { when: delivery.nextAttemptAt });
+      return;
+    }
+  } catch (error) {
+    console.error('[ServiceWorker] Webhook delivery error:', error);
+  }
+}
 
-      case 'POST_ANALYTICS_CAPTURED':
-        console.log('[ServiceWorker] POST_ANALYTICS_CAPTURED received:', message.data?.activityUrn);
-        response = await savePostAnalyticsToStorage(message.data);
-        console.log('[ServiceWorker] Post analytics saved:', response);
-        break;
+/**
+ * Append an attempt to the delivery log (newest first, capped)
+ */
+async function logWebhookDelivery(delivery, outcome) {
+  const existing = await getFromStorage(STORAGE_KEYS.WEBHOOK_LOG);
+  const entries = existing.data?.entries || [];
+
+  entries.unshift({
+    id: delivery.id,
+    event: delivery.event,
+    attempt: delivery.attempts,
+    status: outcome.status,
+    httpStatus: outcome.httpStatus ?? null,
+    error: outcome.error || null,
+    durationMs: outcome.durationMs ?? null,
+    at: new Date().toISOString()
+  });
 
-      case 'AUDIENCE_DATA_CAPTURED':
-        console.log('[ServiceWorker] AUDIENCE_DATA_CAPTURED received:', message.data?.totalFollowers);
-        response = await saveAudienceDataToStorage(message.data);
-        console.log('[ServiceWorker] Audience data saved:', response);
-        break;
+  await saveToStorage(STORAGE_KEYS.WEBHOOK_LOG, {
+    entries: entries.slice(0, WEBHOOK_LIMITS.MAX_LOG_ENTRIES),
+    lastUpdated: new Date().toISOString()
+  });
+}
 
-      case 'SAVE_FEED_POSTS':
-        // Save feed posts with deduplication and sorting by engagement
-        response = await saveFeedPostsToStorage(message.posts);
-        break;
+/**
+ * Queue size, the next retry and the delivery log for the popup
+ */
+async function getWebhookStatus() {
+  try {
+    const [queued, head, log] = await Promise.all([
+      countRecords(WEBHOOK_QUEUE_STORE),
+      getFirstRecord(WEBHOOK_QUEUE_STORE),
+      getFromStorage(STORAGE_KEYS.WEBHOOK_LOG)
+    ]);
 
-      case 'SAVE_COMMENTS':
-        // Save comments with deduplication
-        response = await saveCommentsToStorage(message.comments);
-        break;
+    return {
+      success: true,
+      data: {
+        queued,
+        nextAttemptAt: head ? new Date(head.nextAttemptAt).toISOString() : null,
+        lastError: head?.lastError || null,
+        log: log.data?.entries || []
+      }
+    };
+  } catch (error) {
+    console.error('[ServiceWorker] Error getting webhook status:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-      case 'SAVE_MY_POSTS':
-        // Save your own posts with analytics
-        response = await saveMyPostsToStorage(message.posts);
-        break;
+/**
+ * Send a signed ping straight to the endpoint, bypassing the queue
+ */
+async function testWebhook() {
+  const settings = await getWebhookSettings();
+  if (!settings) {
+    return { success: false, error: 'Webhook delivery is not enabled' };
+  }
 
-      case 'SAVE_FOLLOWERS':
-        // Save followers data
-        response = await saveFollowersToStorage(message.data);
-        break;
+  const id = generateUUID();
+  const delivery = {
+    id,
+    event: 'ping',
+    attempts: 1,
+    body: JSON.stringify({
+      id,
+      event: 'ping',
+      occurredAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      delta: {}
+    })
+  };
 
-      case 'SAVE_TRENDING':
-        // Save trending topics
-        response = await saveTrendingToStorage(message.topics);
-        break;
+  const result = await postWebhook(settings, delivery);
+  await logWebhookDelivery(delivery, { ...result, status: result.ok ? 'delivered' : 'failed' });
 
-      // Export operations
-      case 'EXPORT_JSON':
-        response = await exportAsJSON();
-        break;
+  return result.ok
+    ? { success: true, data: result }
+    : { success: false, error: result.error, data: result };
+}
 
-      case 'EXPORT_CSV':
-        response = await exportAsCSV(message.dataKey);
-        break;
+/**
+ * Retry the head of the queue now instead of waiting for its backoff
+ */
+async function retryWebhookQueue() {
+  const head = await getFirstRecord(WEBHOOK_QUEUE_STORE);
+  if (head) {
+    head.nextAttemptAt = Date.now();
+    await putRecords(WEBHOOK_QUEUE_STORE, [head], record => record.key);
+  }
 
-      // Get statistics
-      case 'GET_STATS':
-        const allData = await getAllStoredData();
-        if (allData.success) {
-          const capturedApis = allData.data[STORAGE_KEYS.CAPTURED_APIS] || [];
-          const profile = allData.data[STORAGE_KEYS.PROFILE_DATA];
-          const analytics = allData.data[STORAGE_KEYS.ANALYTICS_DATA];
-          const connections = allData.data[STORAGE_KEYS.CONNECTIONS_DATA];
-
-          response = {
-            success: true,
-            stats: {
-              apisCaptured: capturedApis.length,
-              hasProfile: !!profile,
-              hasAnalytics: !!analytics,
-              hasConnections: !!connections,
-              connectionsCount: connections?.connections?.length || connections?.fetchedConnections || 0,
-              totalConnections: connections?.totalConnections || 0,
-              lastCapture: capturedApis.length > 0
-                ? capturedApis[capturedApis.length - 1].capturedAt
-                : null
-            }
-          };
-        } else {
-          response = allData;
-        }
-        break;
+  await chrome.alarms.clear(WEBHOOK_ALARM_NAME);
+  await flushWebhookQueue();
+  return getWebhookStatus();
+}
 
-      // Direct API calls (like Taplio)
-      case 'FETCH_PROFILE':
-        response = await fetchMyProfile();
-        break;
+/**
+ * Drop every pending delivery
+ */
+async function clearWebhookQueue() {
+  await clearRecords(WEBHOOK_QUEUE_STORE);
+  await chrome.alarms.clear(WEBHOOK_ALARM_NAME);
+  return getWebhookStatus();
+}
 
-      case 'FETCH_ANALYTICS':
-        response = await fetchAnalytics();
-        break;
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WEBHOOK_ALARM_NAME) {
+    flushWebhookQueue();
+  }
+});
 
-      case 'FETCH_CONNECTIONS':
-        response = await fetchConnections(message.start || 0, message.count || 100);
-        break;
+// ============================================
+// NATIVE HOST BRIDGE
+// ============================================
 
-      case 'FETCH_CONNECTIONS_SUMMARY':
-        response = await fetchConnectionsSummary();
-        break;
+const NATIVE_HOST_NAME = 'com.agiready.linkedin_data_extractor';
+const NATIVE_PROTOCOL_VERSION = 1;
+const NATIVE_RECONNECT_ALARM_NAME = 'native-host-reconnect';
+const NATIVE_RECONNECT_MINUTES = 1;
+const NATIVE_RECONNECT_LIMIT = 5;
+// Session storage outlives the worker but not the browser, so a host that
+// exited or kept failing stays closed until the setting is toggled or Chrome restarts
+const NATIVE_RETRY_SESSION_KEY = 'native_host_retry';
+
+const readDataset = key => () => ({ type: 'GET_DATA', key });
+const routeAs = type => params => ({ ...params, type });
+
+// Methods a companion program may call, each mapped onto a router message.
+// Anything not listed (clearing, importing or raw writes) is refused.
+const NATIVE_METHODS = {
+  getProfile: readDataset(STORAGE_KEYS.PROFILE_DATA),
+  getFullProfile: readDataset(STORAGE_KEYS.FULL_PROFILE),
+  getAnalytics: readDataset(STORAGE_KEYS.ANALYTICS_DATA),
+  getPostAnalytics: readDataset(STORAGE_KEYS.POST_ANALYTICS_DATA),
+  getAudience: readDataset(STORAGE_KEYS.AUDIENCE_DATA),
+  getConnections: readDataset(STORAGE_KEYS.CONNECTIONS_DATA),
+  getFeedPosts: readDataset(STORAGE_KEYS.FEED_POSTS),
+  getMyPosts: readDataset(STORAGE_KEYS.MY_POSTS),
+  getComments: readDataset(STORAGE_KEYS.COMMENTS),
+  getFollowers: readDataset(STORAGE_KEYS.FOLLOWERS),
+  getConnectionChanges: routeAs('GET_CONNECTION_CHANGES'),   // { since }
+  queryDataset: routeAs('QUERY_DATASET'),                    // { key, index, value | from / to, limit }
+  getStats: routeAs('GET_STATS'),
+  getMetricSeries: routeAs('GET_METRIC_SERIES'),             // { metric, days }
+  getMetricTrends: routeAs('GET_METRIC_TRENDS'),             // { days }
+  getSyncStatus: routeAs('GET_SCHEDULED_SYNC_STATUS'),
+  getRequestStatus: routeAs('GET_REQUEST_STATUS'),
+  runSync: routeAs('RUN_SCHEDULED_SYNC'),
+  fetchProfile: routeAs('FETCH_PROFILE'),
+  fetchFullProfile: routeAs('FETCH_FULL_PROFILE'),           // { publicIdentifier }
+  fetchAnalytics: routeAs('FETCH_ANALYTICS'),
+  fetchConnections: routeAs('FETCH_ALL_CONNECTIONS'),        // { maxConnections, mode }
+  exportJson: routeAs('EXPORT_JSON')
+};
 
-      case 'FETCH_ALL_CONNECTIONS':
-        response = await fetchAllConnections(message.maxConnections || 500);
-        break;
+let nativePort = null;
+const nativeHostState = {
+  connected: false,
+  connectedAt: null,
+  lastError: null,
+  requestCount: 0,
+  reconnectAttempts: 0
+};
 
-      case 'FETCH_POSTS':
-        response = await fetchMyPosts(message.count || 20);
-        break;
+async function getNativeRetryState() {
+  const result = await chrome.storage.session.get(NATIVE_RETRY_SESSION_KEY);
+  return result[NATIVE_RETRY_SESSION_KEY] || { attempts: 0, stopped: false };
+}
 
-      case 'FETCH_FEED_POSTS':
-        response = await fetchFeedPosts(message.count || 50);
-        break;
+async function setNativeRetryState(retry) {
+  nativeHostState.reconnectAttempts = retry.attempts;
+  if (retry.attempts === 0 && !retry.stopped) {
+    await chrome.storage.session.remove(NATIVE_RETRY_SESSION_KEY);
+  } else {
+    await chrome.storage.session.set({ [NATIVE_RETRY_SESSION_KEY]: retry });
+  }
+}
 
-      case 'FETCH_ALL_DATA':
-        // Fetch all data at once (Taplio-style)
-        console.log('[ServiceWorker] Fetching all data...');
+/**
+ * Protocol details sent on connect and returned by `ping`
+ */
+function getNativeHello() {
+  return {
+    protocolVersion: NATIVE_PROTOCOL_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    methods: ['ping', ...Object.keys(NATIVE_METHODS)]
+  };
+}
 
-        // Fetch profile and analytics in parallel first
-        const [profileResult, analyticsResult] = await Promise.all([
-          fetchMyProfile(),
-          fetchAnalytics()
-        ]);
+/**
+ * Open or close the native host port to match the settings
+ */
+async function configureNativeHost(settings) {
+  await chrome.alarms.clear(NATIVE_RECONNECT_ALARM_NAME);
+  await setNativeRetryState({ attempts: 0, stopped: false });
+
+  if (!settings?.nativeHostEnabled) {
+    if (nativePort) {
+      nativePort.disconnect();
+      nativePort = null;
+    }
+    nativeHostState.connected = false;
+    return;
+  }
 
-        // Then fetch ALL connections (with pagination)
-        const connectionsResult = await fetchAllConnections(500);
+  connectNativeHost();
+}
 
-        // Feed posts disabled - LinkedIn API requires browser context
-        // Posts will be captured passively via content script when user browses feed
-        const feedPostsResult = { success: true, data: { posts: [], topHits: [] } };
+/**
+ * Launch the companion host (Chrome starts it on connect) and listen for requests
+ * The open port also keeps the service worker alive, so the host can call in at any time.
+ */
+function connectNativeHost() {
+  if (nativePort) return;
 
-        response = {
-          success: true,
-          profile: profileResult,
-          analytics: analyticsResult,
-          connections: connectionsResult,
-          posts: feedPostsResult
-        };
-        console.log('[ServiceWorker] All data fetched successfully');
-        console.log(`[ServiceWorker] Connections: ${connectionsResult.fetchedConnections}`);
-        break;
+  // Only present once the optional nativeMessaging permission is granted
+  if (!chrome.runtime.connectNative) {
+    nativeHostState.lastError = 'nativeMessaging permission not granted';
+    return;
+  }
 
-      default:
-        response = { success: false, error: 'Unknown message type' };
+  const port = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  nativePort = port;
+  let saidBye = false;
+
+  port.onMessage.addListener(async message => {
+    // Chrome reports a launch that fails only later, through onDisconnect,
+    // so the host counts as connected once it has sent something
+    if (!nativeHostState.connected && nativePort === port) {
+      nativeHostState.connected = true;
+      nativeHostState.connectedAt = new Date().toISOString();
+      console.log('[ServiceWorker] Native host connected:', NATIVE_HOST_NAME);
+
+      // A host that runs is healthy again, so a later crash gets the full set of retries
+      if (nativeHostState.reconnectAttempts > 0) {
+        await setNativeRetryState({ attempts: 0, stopped: false });
+      }
     }
 
-    sendResponse(response);
-  })();
+    // Sent before a deliberate exit, which Chrome can't tell apart from a crash
+    if (message?.type === 'bye') {
+      saidBye = true;
+      return;
+    }
 
-  // Return true to indicate async response
-  return true;
+    handleNativeRequest(port, message);
+  });
+  port.onDisconnect.addListener(async () => {
+    // Chrome sets lastError on every disconnect, including "Native host has exited."
+    const error = chrome.runtime.lastError?.message || null;
+    console.warn('[ServiceWorker] Native host disconnected:', saidBye ? 'host said bye' : error);
+
+    if (nativePort === port) nativePort = null;
+    nativeHostState.connected = false;
+    nativeHostState.lastError = saidBye ? null : error;
+
+    // A host that said bye or is missing won't come back by itself - wait for
+    // the setting to be toggled again. Anything else is a crash, retried a few times.
+    const retry = await getNativeRetryState();
+    if (saidBye || (error && /not found/i.test(error))) {
+      await setNativeRetryState({ ...retry, stopped: true });
+    } else if (retry.attempts >= NATIVE_RECONNECT_LIMIT) {
+      nativeHostState.lastError = `${error} (gave up after ${retry.attempts} reconnects)`;
+      await setNativeRetryState({ ...retry, stopped: true });
+    } else {
+      await setNativeRetryState({ attempts: retry.attempts + 1, stopped: false });
+      chrome.alarms.create(NATIVE_RECONNECT_ALARM_NAME, { delayInMinutes: NATIVE_RECONNECT_MINUTES });
+    }
+  });
+
+  nativeHostState.connected = false;
+  nativeHostState.connectedAt = null;
+  nativeHostState.lastError = null;
+
+  port.postMessage({ type: 'hello', ...getNativeHello() });
+  console.log('[ServiceWorker] Native host launched:', NATIVE_HOST_NAME);
+}
+
+/**
+ * Answer one { id, method, params } request from the host with { id, result } or { id, error }
+ */
+async function handleNativeRequest(port, request) {
+  const reply = message => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // The host went away while the request was running
+      console.warn('[ServiceWorker] Native host reply dropped:', error.message);
+    }
+  };
+
+  if (!request || request.id === undefined || typeof request.method !== 'string') {
+    reply({ id: request?.id ?? null, error: { code: 'invalid_request', message: 'Expected { id, method, params }' } });
+    return;
+  }
+
+  if (request.method !== 'ping' && !NATIVE_METHODS[request.method]) {
+    reply({ id: request.id, error: { code: 'unknown_method', message: `Unknown method: ${request.method}` } });
+    return;
+  }
+
+  console.log('[ServiceWorker] Native host request:', request.method);
+  nativeHostState.requestCount++;
+
+  try {
+    const result = request.method === 'ping'
+      ? { success: true, data: getNativeHello() }
+      : await routeMessage(NATIVE_METHODS[request.method](request.params || {}));
+    reply({ id: request.id, result });
+  } catch (error) {
+    console.error('[ServiceWorker] Native host request failed:', request.method, error);
+    reply({ id: request.id, error: { code: 'internal_error', message: error.message } });
+  }
+}
+
+/**
+ * Connection state for the popup
+ */
+function getNativeHostStatus() {
+  return {
+    success: true,
+    data: { hostName: NATIVE_HOST_NAME, protocolVersion: NATIVE_PROTOCOL_VERSION, ...nativeHostState }
+  };
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === NATIVE_RECONNECT_ALARM_NAME) {
+    const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+    if (settings.data?.nativeHostEnabled) connectNativeHost();
+  }
 });
 
+/**
+ * Reconnect on worker start if the bridge is enabled and the host wasn't given up on
+ */
+async function resumeNativeHost() {
+  const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  if (!settings.data?.nativeHostEnabled) return;
+
+  const retry = await getNativeRetryState();
+  nativeHostState.reconnectAttempts = retry.attempts;
+  if (!retry.stopped) connectNativeHost();
+}
+
 // ============================================
 // EXTENSION LIFECYCLE
 // ============================================
 
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('[ServiceWorker] Extension installed:', details.reason);
 
-  // Initialize default settings
-  saveToStorage(STORAGE_KEYS.SETTINGS, {
-    autoCapture: true,
-    captureProfiles: true,
-    captureAnalytics: true,
-    captureConnections: true,
-    maxStoredApis: 1000
-  });
+  // Upgrade stored data before anything else reads it
+  await runMigrations();
+
+  // Initialize default settings, keeping anything the user already changed
+  const existing = await getFromStorage(STORAGE_KEYS.SETTINGS);
+  const settings = { ...DEFAULT_SETTINGS, ...existing.data };
+  await saveToStorage(STORAGE_KEYS.SETTINGS, settings);
+  await configureSyncAlarm(settings);
 });
 
-chrome.runtime.onStartup.addListener(() => {
+chrome.runtime.onStartup.addListener(async () => {
   console.log('[ServiceWorker] Browser started');
+
+  // Alarms aren't guaranteed to survive a browser restart
+  const alarm = await chrome.alarms.get(SYNC_ALARM_NAME);
+  if (!alarm) {
+    const settings = await getFromStorage(STORAGE_KEYS.SETTINGS);
+    await configureSyncAlarm(settings.data);
+  }
 });
 
 // Log when service worker is active
 console.log('[ServiceWorker] LinkedIn Data Extractor service worker loaded');
+
+// Pick up a connection sync the previous worker instance didn't finish
+resumeInterruptedSync();
+
+// Deliver anything still queued for the local webhook
+flushWebhookQueue();
+
+// Reopen the native host port if the bridge is enabled
+resumeNativeHost();
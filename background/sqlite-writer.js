@@ -0,0 +1,92 @@
+/**
+ * LinkedIn Data Extractor - SQLite Writer
+ *
+ * Builds the SQLite export with sql.js (SQLite compiled to WASM), vendored
+ * unmodified under background/vendor/sql.js/. Tables are created and filled
+ * with ordinary SQL in an in-memory database, which is then exported as the
+ * .sqlite file.
+ */
+
+import './vendor/commonjs-exports.js';
+import './vendor/sql.js/sql-wasm-browser.js';
+
+const initSqlJs = globalThis.module.exports;
+delete globalThis.exports;
+
+let sqlPromise = null;
+
+/**
+ * Load the WASM engine once per worker
+ */
+function loadSQL() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs({
+      locateFile: file => chrome.runtime.getURL(`background/vendor/sql.js/${file}`)
+    });
+    // sql.js clears `module` as it starts loading, so the global can only go now
+    delete globalThis.module;
+  }
+  return sqlPromise;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * CREATE TABLE statement for a table description
+ */
+function createTableSQL(table) {
+  const columns = table.columns.map(column => {
+    let sql = `${quoteIdentifier(column.name)} ${column.type || ''}`.trim();
+    if (column.primaryKey) sql += ' PRIMARY KEY';
+    if (column.notNull) sql += ' NOT NULL';
+    if (column.references) {
+      const [parentTable, parentColumn] = column.references.split('.');
+      sql += ` REFERENCES ${quoteIdentifier(parentTable)}(${quoteIdentifier(parentColumn)})`;
+    }
+    return sql;
+  });
+  return `CREATE TABLE ${quoteIdentifier(table.name)} (${columns.join(', ')})`;
+}
+
+/**
+ * sql.js binds numbers, strings, bytes and null only
+ */
+function toSQLValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Build a .sqlite file
+ * tables: [{ name, columns: [{ name, type, primaryKey?, notNull?, references?: 'table.column' }], rows: [[...]] }]
+ * Rows are inserted in order inside one transaction; a duplicate primary key
+ * rejects the whole export. Resolves to the file as a Uint8Array.
+ */
+export async function createDatabase(tables) {
+  const SQL = await loadSQL();
+  const db = new SQL.Database();
+
+  try {
+    db.run('BEGIN');
+    tables.forEach(table => {
+      db.run(createTableSQL(table));
+      if (table.rows.length === 0) return;
+
+      const placeholders = table.columns.map(() => '?').join(', ');
+      const insert = db.prepare(`INSERT INTO ${quoteIdentifier(table.name)} VALUES (${placeholders})`);
+      try {
+        table.rows.forEach(row => insert.run(row.map(toSQLValue)));
+      } finally {
+        insert.free();
+      }
+    });
+    db.run('COMMIT');
+
+    return db.export();
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * LinkedIn Data Extractor - XLSX Writer
+ *
+ * Builds Office Open XML spreadsheets offline. Each sheet gets a bold, frozen
+ * header row; cells are typed from their JS values:
+ *   number  -> numeric cell
+ *   boolean -> boolean cell
+ *   Date    -> date-formatted numeric cell
+ *   string  -> inline string
+ */
+
+import { createZip } from './zip-writer.js';
+
+const MAX_CELL_LENGTH = 32767; // Excel's per-cell character limit
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Cell style indexes into cellXfs below
+const STYLE = {
+  DEFAULT: 0,
+  HEADER: 1,
+  DATE: 2
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 can't hold
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Zero-based column index to a letter reference (0 -> A, 27 -> AB)
+ */
+function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Date to an Excel serial day number (1900 date system)
+ */
+function toExcelDate(date) {
+  return date.getTime() / 86400000 + 25569;
+}
+
+/**
+ * Make a sheet name valid and unique within the workbook
+ */
+function toSheetName(name, used) {
+  const base = String(name).replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+  let candidate = base;
+  let suffix = 2;
+  while (used.has(candidate.toLowerCase())) {
+    candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - String(suffix).length - 1)} ${suffix}`;
+    suffix++;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// ============================================
+// SHEET XML
+// ============================================
+
+/**
+ * Render one cell, or an empty string for blank values
+ */
+function renderCell(value, ref, style) {
+  if (value === null || value === undefined || value === '') return '';
+
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    return `<c r="${ref}" s="${STYLE.DATE}"><v>${toExcelDate(value)}</v></c>`;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"${styleAttr}><v>${value}</v></c>` : '';
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"${styleAttr}><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = String(value).slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Render a worksheet with a frozen header row
+ */
+function renderSheet(headers, rows) {
+  const allRows = [headers, ...rows];
+  const widths = headers.map(header => Math.min(60, Math.max(10, String(header).length + 2)));
+
+  const rowsXml = allRows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      if (rowIndex > 0 && typeof value === 'string') {
+        widths[columnIndex] = Math.min(60, Math.max(widths[columnIndex] || 10, value.length + 2));
+      }
+      return renderCell(value, ref, rowIndex === 0 ? STYLE.HEADER : STYLE.DEFAULT);
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const colsXml = widths.length > 0
+    ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+    '</sheetView></sheetViews>' +
+    colsXml +
+    `<sheetData>${rowsXml}</sheetData>` +
+    '</worksheet>';
+}
+
+// ============================================
+// WORKBOOK
+// ============================================
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * Build an .xlsx file
+ * sheets: [{ name, headers: [...], rows: [[...], ...] }]
+ * Returns the workbook as a Uint8Array.
+ */
+export async function createWorkbook(sheets) {
+  const usedNames = new Set();
+  const named = sheets.map(sheet => ({ ...sheet, name: toSheetName(sheet.name, usedNames) }));
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    named.map((sheet, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('') +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheets>' +
+    named.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+    '</sheets></workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    named.map((sheet, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('') +
+    `<Relationship Id="rId${named.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES_XML },
+    ...named.map((sheet, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      content: renderSheet(sheet.headers, sheet.rows)
+    }))
+  ]);
+}
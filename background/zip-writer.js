@@ -0,0 +1,164 @@
+/**
+ * LinkedIn Data Extractor - Zip Writer
+ *
+ * Minimal offline ZIP archive builder used by the binary exporters (XLSX, ...).
+ * Entries are deflated with the built-in CompressionStream when available,
+ * otherwise stored uncompressed.
+ */
+
+const encoder = new TextEncoder();
+
+let crcTable = null;
+
+// ============================================
+// CHECKSUM
+// ============================================
+
+/**
+ * CRC-32 (IEEE) of a byte array
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ============================================
+// COMPRESSION
+// ============================================
+
+/**
+ * Raw-deflate bytes, or null if the runtime can't
+ */
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a Date to DOS date/time fields
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+/**
+ * Build a ZIP archive
+ * files: [{ name, content }] where content is a string (UTF-8) or Uint8Array.
+ * Returns the archive as a Uint8Array.
+ */
+export async function createZip(files, { compress = true } = {}) {
+  const { time, date } = toDosDateTime(new Date());
+  const chunks = [];
+  const centralEntries = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    const deflated = compress ? await deflateRaw(data) : null;
+    const useDeflate = deflated !== null && deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const method = useDeflate ? 8 : 0;
+
+    // Local file header
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true);
+    header.setUint16(4, 20, true);            // Version needed
+    header.setUint16(6, 0x0800, true);        // UTF-8 names
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, body.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    chunks.push(new Uint8Array(header.buffer), nameBytes, body);
+
+    // Central directory entry
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);           // Version made by
+    central.setUint16(6, 20, true);           // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);      // Local header offset
+
+    centralEntries.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+  }
+
+  const centralSize = centralEntries.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  // End of central directory
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...chunks, ...centralEntries, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Join byte arrays
+ */
+function concatBytes(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let position = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, position);
+    position += chunk.length;
+  });
+  return result;
+}
+
+/**
+ * Base64-encode bytes (for passing binary exports through runtime messages)
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,340 @@
+/**
+ * LinkedIn Data Extractor - Categorizer Registry
+ *
+ * One declarative list of rules that decides which category an intercepted
+ * Voyager response belongs to and which content-script handler parses it.
+ * Loaded in the MAIN world (ahead of main-world-interceptor.js), in the content
+ * script world and in the popup, so every side reads the same rules.
+ *
+ * Rule shape:
+ *   {
+ *     id: 'feed',                 // unique; an override with the same id replaces the built-in rule
+ *     category: 'feed',           // reported as `category` on the captured event
+ *     handler: 'feed',            // one of HANDLERS (defaults to the category; unhandled categories are only labelled)
+ *     queryIds: [...],            // GraphQL queryId substrings
+ *     urlPatterns: [...],         // URL substrings
+ *     dataKeys: [...],            // keys under the response's `data` object
+ *     includedTypes: [...],       // $type substrings among the first `included` items
+ *     elementKeys: [...],         // keys on the first of `elements`
+ *     disabled: true              // overrides only: drop the built-in rule with this id
+ *   }
+ *
+ * Matchers are tried one kind at a time in MATCH_ORDER, and within a kind in
+ * rule order, so a queryId match anywhere beats a URL match, which beats any
+ * structural match. All string matching is case-insensitive.
+ */
+
+(function() {
+  'use strict';
+
+  // Prevent double initialization
+  if (window.LinkedInCategorizerRegistry) return;
+
+  // ============================================
+  // BUILT-IN RULES
+  // ============================================
+
+  const DEFAULT_RULES = [
+    // Specific REST paths first: they'd otherwise be claimed by the broad URL
+    // patterns below ('feed', 'identity', 'relationship', 'analytics')
+    {
+      id: 'connections',
+      category: 'connections',
+      urlPatterns: ['/relationships/connections', '/mynetwork/relationship-insights']
+    },
+    {
+      id: 'myPosts',
+      category: 'myPosts',
+      queryIds: ['voyagerFeedDashProfileUpdates', 'voyagerFeedDashMemberActivityFeed', 'voyagerContentDashPostAnalytics'],
+      urlPatterns: [
+        '/identity/profileUpdates', '/identity/dash/profileUpdates', '/identity/memberActivityFeed', '/activityFeed',
+        '/contentcreation/creatorAnalytics', '/contentcreation/postAnalytics', '/creatorDashboard', '/voyagerContentDash'
+      ],
+      dataKeys: ['feedDashProfileUpdatesByMemberProfileUpdates', 'feedDashMemberActivityFeedByMemberActivityFeed']
+    },
+    {
+      id: 'followers',
+      category: 'followers',
+      urlPatterns: [
+        '/followersCount', '/creatorFollowers', '/networkInfo', '/followingView', '/identity/followersView',
+        '/identity/dash/followers', '/relationships/followersSummary'
+      ]
+    },
+    // Kept apart from the comments and analytics rules, whose other matchers keep their place below
+    {
+      id: 'commentPaths',
+      category: 'comments',
+      urlPatterns: ['/comments', '/updateComments', '/commentsV2', '/voyagerSocialDashComments', '/socialDetail']
+    },
+    {
+      id: 'analyticsPaths',
+      category: 'analytics',
+      urlPatterns: ['/identity/wvmpCards', '/identity/profileAnalytics', '/dashProfileAnalytics']
+    },
+    {
+      id: 'feed',
+      category: 'feed',
+      queryIds: ['voyagerFeedDashMainFeed', 'voyagerFeedDashFeedUpdate', 'voyagerFeedDashRecommendedFeed'],
+      urlPatterns: ['feed'],
+      dataKeys: ['feedDashMainFeedByMainFeed', 'feedDashRecommendedFeedByRecommendedFeed'],
+      includedTypes: ['feed', 'update'],
+      elementKeys: ['actor', 'commentary', 'socialDetail']
+    },
+    {
+      id: 'messaging',
+      category: 'messaging',
+      queryIds: ['messengerMailboxCounts', 'messengerConversations', 'messengerMessages'],
+      urlPatterns: ['messaging', 'messenger'],
+      dataKeys: ['messengerConversationsBySyncToken', 'messengerMailboxCounts'],
+      includedTypes: ['message', 'conversation'],
+      elementKeys: ['conversationParticipants', 'messages']
+    },
+    {
+      id: 'profile',
+      category: 'profile',
+      queryIds: ['voyagerIdentityDashProfiles', 'voyagerIdentityDashProfileCards', 'voyagerIdentityDashSkills'],
+      // 'profile' also covers profileUrn parameters; /voyager/api/messaging is claimed by the rule above
+      urlPatterns: ['identity', 'profile', '/voyager/api/me'],
+      includedTypes: ['profile', 'member'],
+      elementKeys: ['firstName', 'lastName', 'headline']
+    },
+    {
+      id: 'comments',
+      category: 'comments',
+      queryIds: ['voyagerSocialDashComments', 'voyagerSocialDashReplies', 'voyagerSocialDashSocialDetail'],
+      dataKeys: ['socialDashCommentsBySocialDetail'],
+      includedTypes: ['comment']
+    },
+    {
+      id: 'reactions',
+      category: 'reactions',
+      queryIds: ['voyagerSocialDashReactions', 'voyagerSocialDashReactors', 'voyagerSocialDashSocialCounts']
+    },
+    {
+      id: 'network',
+      category: 'network',
+      queryIds: ['voyagerRelationshipsDashConnections', 'voyagerRelationshipsDashFollowers', 'voyagerRelationshipsDashInvitations'],
+      urlPatterns: ['relationship', 'connection'],
+      includedTypes: ['connection', 'relationship']
+    },
+    {
+      id: 'analytics',
+      category: 'analytics',
+      queryIds: ['voyagerCreatorDashAnalytics', 'voyagerContentDashAnalytics', 'voyagerIdentityDashWvmp'],
+      urlPatterns: ['analytics', 'wvmp']
+    },
+    // Narrower REST surfaces, only reached when none of the rules above match
+    {
+      id: 'posts',
+      category: 'posts',
+      handler: 'feed',
+      urlPatterns: ['/updateActions', '/socialActions', '/ugcPosts', '/shares', '/articles', '/reactions']
+    },
+    {
+      id: 'trending',
+      category: 'trending',
+      urlPatterns: ['/content/trendingTopics', '/voyagerNewsletterDash', '/news/trending', '/pulse/trending']
+    }
+  ];
+
+  // Parsers content-script.js registers in API_HANDLERS - keep the two in step
+  const HANDLERS = ['profile', 'analytics', 'connections', 'feed', 'comments', 'myPosts', 'followers', 'trending', 'reactions', 'messaging'];
+
+  const MATCH_ORDER = ['queryIds', 'urlPatterns', 'dataKeys', 'includedTypes', 'elementKeys'];
+  const INCLUDED_SCAN_LIMIT = 20;
+  const NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+  // ============================================
+  // MATCHERS
+  // ============================================
+
+  function includesAny(value, patterns) {
+    const lower = String(value).toLowerCase();
+    return patterns.some(pattern => lower.includes(pattern));
+  }
+
+  function extractQueryId(url) {
+    if (!url) return null;
+    const match = String(url).match(/queryId=([a-zA-Z0-9]+)/);
+    return match ? match[1] : null;
+  }
+
+  // Each matcher gets the lower-cased patterns and the prepared request
+  const MATCHERS = {
+    queryIds: (patterns, req) => !!req.queryId && includesAny(req.queryId, patterns),
+
+    urlPatterns: (patterns, req) => !!req.url && includesAny(req.url, patterns),
+
+    dataKeys: (patterns, req) => {
+      const d = req.data?.data;
+      return !!d && typeof d === 'object' &&
+        Object.keys(d).some(key => d[key] && patterns.includes(key.toLowerCase()));
+    },
+
+    includedTypes: (patterns, req) => {
+      const included = req.data?.included;
+      if (!Array.isArray(included)) return false;
+      return included.slice(0, INCLUDED_SCAN_LIMIT).some(item => {
+        const type = item && (item._type || item.$type);
+        return !!type && includesAny(type, patterns);
+      });
+    },
+
+    elementKeys: (patterns, req) => {
+      const first = Array.isArray(req.data?.elements) ? req.data.elements[0] : null;
+      return !!first && typeof first === 'object' &&
+        Object.keys(first).some(key => first[key] && patterns.includes(key.toLowerCase()));
+    }
+  };
+
+  const STRUCTURE_KINDS = ['dataKeys', 'includedTypes', 'elementKeys'];
+
+  // ============================================
+  // RULE LOADING
+  // ============================================
+
+  let activeRules = [];
+
+  function validateRule(rule, index) {
+    const label = `Rule ${index + 1}${rule?.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') return [`${label}: must be an object`];
+
+    const errors = [];
+    if (typeof rule.id !== 'string' || !NAME_PATTERN.test(rule.id)) {
+      errors.push(`${label}: id must be a name like "jobs"`);
+    }
+    if (rule.disabled === true) return errors;
+
+    if (typeof rule.category !== 'string' || !NAME_PATTERN.test(rule.category)) {
+      errors.push(`${label}: category must be a name like "feed"`);
+    }
+    if (rule.handler !== undefined && !HANDLERS.includes(rule.handler)) {
+      errors.push(`${label}: handler must be one of ${HANDLERS.join(', ')}`);
+    }
+
+    const kinds = MATCH_ORDER.filter(kind => rule[kind] !== undefined);
+    kinds.forEach(kind => {
+      if (!Array.isArray(rule[kind]) || !rule[kind].every(p => typeof p === 'string' && p.trim())) {
+        errors.push(`${label}: ${kind} must be a list of non-empty strings`);
+      }
+    });
+    if (kinds.length === 0) {
+      errors.push(`${label}: needs at least one of ${MATCH_ORDER.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check override rules; returns a list of problems (empty when all are usable)
+   */
+  function validateRules(rules) {
+    if (rules === undefined || rules === null) return [];
+    if (!Array.isArray(rules)) return ['Rules must be an array'];
+    return rules.flatMap(validateRule);
+  }
+
+  /**
+   * Lower-case patterns once so matching doesn't have to
+   */
+  function compileRule(rule) {
+    const compiled = { id: rule.id, category: rule.category, handler: rule.handler || rule.category };
+    MATCH_ORDER.forEach(kind => {
+      if (Array.isArray(rule[kind])) {
+        compiled[kind] = rule[kind].map(pattern => pattern.trim().toLowerCase());
+      }
+    });
+    return compiled;
+  }
+
+  /**
+   * Rebuild the active rules from the built-ins plus overrides from settings.
+   * An override with a built-in id replaces that rule in place (or removes it
+   * when disabled); new ids are checked before every built-in rule.
+   * Invalid overrides are skipped so one bad rule can't stop capturing.
+   */
+  function load(overrides) {
+    const rules = DEFAULT_RULES.slice();
+    const added = [];
+    const skipped = [];
+
+    (Array.isArray(overrides) ? overrides : []).forEach((rule, index) => {
+      const errors = validateRule(rule, index);
+      if (errors.length > 0) {
+        skipped.push(...errors);
+        return;
+      }
+
+      const existing = rules.findIndex(r => r.id === rule.id);
+      if (rule.disabled === true) {
+        if (existing !== -1) rules.splice(existing, 1);
+      } else if (existing !== -1) {
+        rules[existing] = rule;
+      } else {
+        added.push(rule);
+      }
+    });
+
+    if (skipped.length > 0) {
+      console.warn('[Categorizer] Skipped invalid rule overrides:', skipped);
+    }
+
+    activeRules = added.concat(rules).map(compileRule);
+    return { ruleCount: activeRules.length, skipped };
+  }
+
+  // ============================================
+  // LOOKUP
+  // ============================================
+
+  function findRule(kinds, req) {
+    for (const kind of kinds) {
+      const rule = activeRules.find(r => r[kind] && MATCHERS[kind](r[kind], req));
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  function toResult(rule) {
+    return rule ? { category: rule.category, handler: rule.handler, ruleId: rule.id } : null;
+  }
+
+  /**
+   * Categorize a response by URL first, then by structure
+   * Always returns a result; unmatched responses are { category: 'other', handler: null }.
+   */
+  function categorize(url, data) {
+    const req = { url: url ? String(url) : null, queryId: extractQueryId(url), data };
+    return toResult(findRule(MATCH_ORDER, req)) || { category: 'other', handler: null, ruleId: null };
+  }
+
+  /**
+   * Categorize by response structure alone; null when it doesn't look like LinkedIn data
+   */
+  function categorizeByStructure(data) {
+    if (!data || typeof data !== 'object') return null;
+    return toResult(findRule(STRUCTURE_KINDS, { data }));
+  }
+
+  /**
+   * Handler for a category already on an event (e.g. from a recorded fixture)
+   */
+  function handlerFor(category) {
+    const rule = activeRules.find(r => r.category === category);
+    return rule ? rule.handler : category;
+  }
+
+  load();
+
+  window.LinkedInCategorizerRegistry = {
+    DEFAULT_RULES,
+    HANDLERS,
+    MATCH_ORDER,
+    validateRules,
+    load,
+    getRules: () => activeRules.slice(),
+    extractQueryId,
+    categorize,
+    categorizeByStructure,
+    handlerFor
+  };
+})();
@@ -39,6 +39,13 @@
     maxItemsPerCategory: 100
   };
 
+  // Set by replay/replay.js when this script is loaded into the replay page
+  // instead of LinkedIn: { dryRun, sent: [] }
+  const REPLAY = window.__linkedInReplay || null;
+
+  // Shared categorizer rules (content/categorizer-registry.js, loaded before this script)
+  const Categorizer = window.LinkedInCategorizerRegistry;
+
   // ============================================
   // STATE MANAGEMENT
   // ============================================
@@ -52,7 +59,8 @@
       feed: [],
       apiResponses: []
     },
-    settings: null
+    // Only the developer capture switches - the rest of the settings stay in the background
+    captureSettings: { recordCaptures: false, harCapture: false }
   };
 
   // ============================================
@@ -74,6 +82,12 @@
    * Send message to service worker and get response
    */
   async function sendToBackground(message) {
+    // Replays keep every outgoing message; dry runs stop here so nothing is stored
+    if (REPLAY) {
+      REPLAY.sent.push(message);
+      if (REPLAY.dryRun) return { success: true, dryRun: true };
+    }
+
     // Check if extension context is still valid (handles extension reload)
     if (!isExtensionContextValid()) {
       console.log('[ContentScript] Extension context invalidated, skipping message');
@@ -221,6 +235,33 @@
   // API INTERCEPTION HANDLER
   // ============================================
 
+  /**
+   * Keep the capture switches from the latest settings and pass the HAR switch
+   * and categorizer rule overrides to the main world, which can't read extension
+   * storage itself
+   */
+  function applySettings(settings) {
+    const categorizerRules = settings?.categorizerRules || [];
+    state.captureSettings = {
+      recordCaptures: settings?.recordCaptures === true,
+      harCapture: settings?.harCapture === true
+    };
+    Categorizer.load(categorizerRules);
+    document.dispatchEvent(new CustomEvent('linkedin-interceptor-config', {
+      detail: { harCapture: state.captureSettings.harCapture, categorizerRules }
+    }));
+  }
+
+  /**
+   * Forward a redacted HAR entry to the background for the HAR export
+   */
+  function handleHarEntry(event) {
+    if (!event.detail || !state.captureSettings.harCapture) return;
+
+    sendToBackground({ type: 'HAR_ENTRY', entry: event.detail })
+      .catch(error => console.error('[ContentScript] Error recording HAR entry:', error));
+  }
+
   /**
    * Handle captured API responses from interceptor
    */
@@ -231,6 +272,16 @@
 
     console.log('[ContentScript] API captured:', data.category, data.endpoint);
 
+    // Developer mode: keep the raw event for fixtures / offline replay
+    if (state.captureSettings.recordCaptures && !REPLAY) {
+      sendToBackground({
+        type: 'RECORD_CAPTURE',
+        eventType: event.type,
+        detail: data,
+        pageUrl: location.href
+      }).catch(error => console.error('[ContentScript] Error recording capture:', error));
+    }
+
     // Store in local state
     state.capturedData.apiResponses.push({
       ...data,
@@ -249,43 +300,27 @@
     processApiData(data);
   }
 
+  // Parsers that categorizer rules can name as their `handler`
+  const API_HANDLERS = {
+    profile: processProfileApiData,
+    analytics: processAnalyticsApiData,
+    connections: processConnectionsApiData,
+    feed: processFeedApiData,
+    comments: processCommentsApiData,
+    myPosts: processMyPostsApiData,
+    followers: processFollowersApiData,
+    trending: processTrendingApiData,
+    reactions: processReactionsApiData,
+    messaging: processMessagingApiData
+  };
+
   /**
-   * Process API data based on category
+   * Process API data with the handler its categorizer rule picked
+   * (events recorded before handlers were attached fall back to the category's rule)
    */
   function processApiData(data) {
-    switch (data.category) {
-      case 'profile':
-        processProfileApiData(data);
-        break;
-      case 'analytics':
-        processAnalyticsApiData(data);
-        break;
-      case 'connections':
-        processConnectionsApiData(data);
-        break;
-      case 'feed':
-      case 'posts':
-        processFeedApiData(data);
-        break;
-      case 'comments':
-        processCommentsApiData(data);
-        break;
-      case 'myPosts':
-        processMyPostsApiData(data);
-        break;
-      case 'followers':
-        processFollowersApiData(data);
-        break;
-      case 'trending':
-        processTrendingApiData(data);
-        break;
-      case 'reactions':
-        processReactionsApiData(data);
-        break;
-      case 'messaging':
-        processMessagingApiData(data);
-        break;
-    }
+    const handler = API_HANDLERS[data.handler || Categorizer.handlerFor(data.category)];
+    if (handler) handler(data);
   }
 
   /**
@@ -1290,6 +1325,9 @@
   // ============================================
 
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // On the replay page this would answer the popup's messages meant for the service worker
+    if (REPLAY) return false;
+
     console.log('[ContentScript] Received message:', message.type);
 
     switch (message.type) {
@@ -1355,6 +1393,21 @@
     // Listen for Response.json captures (backup)
     document.addEventListener('linkedin-response-json', handleCapturedApi);
 
+    // Pick up the developer capture switches now and whenever settings change
+    if (!REPLAY) {
+      chrome.storage.local.get('extension_settings', result => {
+        applySettings(result?.extension_settings || null);
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.extension_settings) {
+          applySettings(changes.extension_settings.newValue || null);
+        }
+      });
+
+      // Full request/response pairs from the main world interceptor (only sent while HAR capture is on)
+      document.addEventListener('linkedin-har-entry', handleHarEntry);
+    }
+
     // Listen for post analytics data from page context
     // IMPORTANT: Use document.addEventListener because document is shared between worlds
     document.addEventListener('linkedin-post-analytics-extracted', (event) => {
@@ -1372,6 +1425,13 @@
       }
     });
 
+    // There's no LinkedIn page to watch or scrape during a replay
+    if (REPLAY) {
+      state.isInitialized = true;
+      console.log('[ContentScript] Initialized for capture replay');
+      return;
+    }
+
     // Set up navigation listener for SPA page changes
     setupNavigationListener();
 
@@ -1391,7 +1451,7 @@
   }
 
   // Wait for DOM extractor to be ready
-  if (window.LinkedInDOMExtractor) {
+  if (window.LinkedInDOMExtractor || REPLAY) {
     initialize();
   } else {
     window.addEventListener('linkedin-dom-extractor-ready', initialize);
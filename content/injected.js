@@ -28,145 +28,6 @@
       '/li/track'
     ],
 
-    // Specific endpoints of interest with categories
-    endpointCategories: {
-      profile: [
-        '/identity/dash/profiles',
-        '/identity/profiles',
-        '/identity/dash/profile',
-        '/identitydashprofile',
-        '/profileview',
-        '/voyageridentitydash',
-        'profileurn',
-        '/me'
-      ],
-      connections: [
-        '/relationships/connectionsSummary',
-        '/relationships/connections',
-        '/mynetwork/relationship-insights'
-      ],
-      analytics: [
-        '/analytics',
-        '/identity/wvmpCards',
-        '/identity/profileAnalytics',
-        '/dashProfileAnalytics',
-        '/wvmp',
-        '/contentAnalytics',
-        '/postAnalytics'
-      ],
-      feed: [
-        '/feed/updates',
-        '/feed/deco',
-        '/contentcreation',
-        '/feedUpdates',
-        '/feed/dash',
-        '/graphql?queryId=voyagerFeed',
-        '/voyagerFeedDash'
-      ],
-      posts: [
-        '/updateActions',
-        '/socialActions',
-        '/ugcPosts',
-        '/shares',
-        '/articles',
-        '/feed/updates',
-        '/contentcreation/normShares',
-        '/voyagerSocialDash',
-        '/reactions'
-      ],
-      comments: [
-        '/comments',
-        '/socialDetail',
-        '/feed/comments',
-        '/voyagerSocialDashComments',
-        '/updateComments',
-        '/commentsV2'
-      ],
-      myPosts: [
-        '/identity/profileUpdates',
-        '/identity/dash/profileUpdates',
-        '/contentcreation/creatorAnalytics',
-        '/contentcreation/postAnalytics',
-        '/creatorDashboard',
-        '/voyagerContentDash',
-        '/identity/memberActivityFeed',
-        '/activityFeed'
-      ],
-      followers: [
-        '/identity/profiles/.*/followingView',
-        '/identity/dash/followers',
-        '/relationships/followersSummary',
-        '/followersCount',
-        '/identity/followersView',
-        '/creatorFollowers',
-        '/networkInfo'
-      ],
-      network: [
-        '/relationships/invitationsSummary',
-        '/myNetworkNotifications',
-        '/peopleAlsoViewed'
-      ],
-      messaging: [
-        '/messaging',
-        '/messengerconversations',
-        '/voyagermessaging',
-        '/messengermailbox'
-      ],
-      search: [
-        '/search/blended'
-      ],
-      trending: [
-        '/content/trendingTopics',
-        '/voyagerNewsletterDash',
-        '/news/trending',
-        '/pulse/trending'
-      ]
-    },
-
-    // GraphQL queryId patterns for categorization (LinkedIn's new API format)
-    graphqlQueryIds: {
-      feed: [
-        'voyagerFeedDashMainFeed',           // Main feed posts
-        'voyagerFeedDashFeedUpdate',          // Single feed update
-        'voyagerFeedDashRecommendedFeed'      // Recommended content
-      ],
-      myPosts: [
-        'voyagerFeedDashProfileUpdates',      // User's own activity/posts
-        'voyagerFeedDashMemberActivityFeed',  // Member activity feed
-        'voyagerContentDashPostAnalytics'     // Post analytics
-      ],
-      comments: [
-        'voyagerSocialDashComments',          // Post comments
-        'voyagerSocialDashReplies',           // Comment replies
-        'voyagerSocialDashSocialDetail'       // Social details (likes, comments count)
-      ],
-      reactions: [
-        'voyagerSocialDashReactions',         // Reactions on posts
-        'voyagerSocialDashReactors',          // Who reacted
-        'voyagerSocialDashSocialCounts'       // Social counts
-      ],
-      messaging: [
-        'messengerMailboxCounts',             // Mailbox counts
-        'messengerConversations',             // Conversations
-        'messengerMessages'                   // Messages
-      ],
-      profile: [
-        'voyagerIdentityDashProfiles',        // Profile data
-        'voyagerIdentityDashProfileCards',    // Profile cards
-        'voyagerIdentityDashSkills'           // Skills
-      ],
-      network: [
-        'voyagerRelationshipsDashConnections', // Connections
-        'voyagerRelationshipsDashFollowers',   // Followers
-        'voyagerRelationshipsDashInvitations'  // Invitations
-      ],
-      analytics: [
-        'voyagerCreatorDashAnalytics',        // Creator analytics
-        'voyagerContentDashAnalytics',        // Content analytics
-        'voyagerIdentityDashWvmp'             // Who viewed my profile
-      ]
-    },
-
     debug: true
   };
 
@@ -222,33 +83,14 @@
 
   /**
    * Determine the category of the endpoint
+   * Rules live in categorizer-registry.js, loaded into the page's main world by the manifest.
    */
   function categorizeEndpoint(url) {
-    const urlString = String(url).toLowerCase();
-
-    // First, check if it's a GraphQL endpoint and categorize by queryId
-    if (urlString.includes('/graphql')) {
-      const queryId = extractGraphQLQueryId(url);
-      if (queryId) {
-        for (const [category, patterns] of Object.entries(CONFIG.graphqlQueryIds)) {
-          if (patterns.some(pattern => queryId.toLowerCase().includes(pattern.toLowerCase()))) {
-            return category;
-          }
-        }
-        // Log unknown GraphQL queryIds for debugging
-        if (CONFIG.debug) {
-          console.log('[Injected] Unknown GraphQL queryId:', queryId);
-        }
-      }
-    }
-
-    // Fall back to path-based categorization
-    for (const [category, patterns] of Object.entries(CONFIG.endpointCategories)) {
-      if (patterns.some(pattern => urlString.includes(pattern.toLowerCase()))) {
-        return category;
-      }
+    const category = window.LinkedInCategorizerRegistry?.categorize(url).category || 'other';
+    if (category === 'other' && CONFIG.debug && String(url).includes('/graphql')) {
+      console.log('[Injected] Unknown GraphQL queryId:', extractGraphQLQueryId(url));
     }
-    return 'other';
+    return category;
   }
 
   /**
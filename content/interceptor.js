@@ -30,29 +30,6 @@
       '/voyager/api/search'
     ],
 
-    // Specific endpoints of interest
-    interestingEndpoints: {
-      profile: [
-        '/voyager/api/identity/dash/profiles',
-        '/voyager/api/identity/profiles'
-      ],
-      connections: [
-        '/voyager/api/relationships/connectionsSummary',
-        '/voyager/api/relationships/connections'
-      ],
-      analytics: [
-        '/voyager/api/analytics',
-        '/voyager/api/identity/wvmpCards'
-      ],
-      feed: [
-        '/voyager/api/feed/updates'
-      ],
-      network: [
-        '/voyager/api/relationships/invitationsSummary',
-        '/voyager/api/relationships/myNetworkNotifications'
-      ]
-    },
-
     debug: false
   };
 
@@ -90,16 +67,10 @@
 
   /**
    * Determine the category of the endpoint
+   * Rules live in categorizer-registry.js, which must be loaded into the same world first.
    */
   function categorizeEndpoint(url) {
-    const pathname = getPathname(url);
-
-    for (const [category, patterns] of Object.entries(CONFIG.interestingEndpoints)) {
-      if (patterns.some(pattern => pathname.includes(pattern))) {
-        return category;
-      }
-    }
-    return 'other';
+    return window.LinkedInCategorizerRegistry?.categorize(url).category || 'other';
   }
 
   /**
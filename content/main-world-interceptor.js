@@ -27,6 +27,7 @@
   const _originalFetch = window.fetch;
   const _originalXHROpen = XMLHttpRequest.prototype.open;
   const _originalXHRSend = XMLHttpRequest.prototype.send;
+  const _originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
   const _originalResponseJson = Response.prototype.json;
   const _originalResponseText = Response.prototype.text;
   const _originalJSONParse = JSON.parse;
@@ -91,118 +92,10 @@
     return capturePatterns.some(p => String(url).includes(p));
   }
 
-  // GraphQL queryId patterns for categorization
-  const graphqlCategories = {
-    feed: ['voyagerFeedDashMainFeed', 'voyagerFeedDashFeedUpdate', 'voyagerFeedDashRecommendedFeed'],
-    myPosts: ['voyagerFeedDashProfileUpdates', 'voyagerFeedDashMemberActivityFeed'],
-    comments: ['voyagerSocialDashComments', 'voyagerSocialDashReplies'],
-    reactions: ['voyagerSocialDashReactions', 'voyagerSocialDashReactors'],
-    messaging: ['messengerMailboxCounts', 'messengerConversations', 'messengerMessages'],
-    profile: ['voyagerIdentityDashProfiles', 'voyagerIdentityDashProfileCards'],
-    network: ['voyagerRelationshipsDashConnections', 'voyagerRelationshipsDashFollowers'],
-    analytics: ['voyagerCreatorDashAnalytics', 'voyagerContentDashAnalytics', 'voyagerIdentityDashWvmp']
-  };
-
-  function extractQueryId(url) {
-    if (!url) return null;
-    const match = String(url).match(/queryId=([a-zA-Z0-9]+)/);
-    return match ? match[1] : null;
-  }
-
-  function categorizeByUrl(url) {
-    if (!url) return null;
-    const queryId = extractQueryId(url);
-    if (queryId) {
-      for (const [cat, patterns] of Object.entries(graphqlCategories)) {
-        if (patterns.some(p => queryId.toLowerCase().includes(p.toLowerCase()))) {
-          return cat;
-        }
-      }
-    }
-    // Fallback to URL-based categorization
-    const urlStr = String(url).toLowerCase();
-    if (urlStr.includes('feed')) return 'feed';
-    if (urlStr.includes('messaging') || urlStr.includes('messenger')) return 'messaging';
-    if (urlStr.includes('identity') || urlStr.includes('profile')) return 'profile';
-    if (urlStr.includes('relationship') || urlStr.includes('connection')) return 'network';
-    if (urlStr.includes('analytics') || urlStr.includes('wvmp')) return 'analytics';
-    return 'other';
-  }
-
-  // ============================================
-  // STRUCTURE-BASED CATEGORIZATION (NEW!)
-  // ============================================
-  // Detect data type by examining the actual structure
-
-  function categorizeByStructure(data) {
-    if (!data || typeof data !== 'object') return null;
-
-    // Check for feed data structures
-    if (data.data) {
-      const d = data.data;
-      // Feed data has feedDashMainFeedByMainFeed or similar
-      if (d.feedDashMainFeedByMainFeed || d.feedDashRecommendedFeedByRecommendedFeed) {
-        return 'feed';
-      }
-      // Profile updates
-      if (d.feedDashProfileUpdatesByMemberProfileUpdates || d.feedDashMemberActivityFeedByMemberActivityFeed) {
-        return 'myPosts';
-      }
-      // Messaging
-      if (d.messengerConversationsBySyncToken || d.messengerMailboxCounts) {
-        return 'messaging';
-      }
-      // Comments
-      if (d.socialDashCommentsBySocialDetail) {
-        return 'comments';
-      }
-    }
-
-    // Check included array for type hints
-    if (Array.isArray(data.included) && data.included.length > 0) {
-      const types = new Set();
-      for (const item of data.included.slice(0, 20)) {
-        if (item._type || item.$type) {
-          const t = (item._type || item.$type).toLowerCase();
-          if (t.includes('feed') || t.includes('update')) types.add('feed');
-          if (t.includes('message') || t.includes('conversation')) types.add('messaging');
-          if (t.includes('profile') || t.includes('member')) types.add('profile');
-          if (t.includes('comment')) types.add('comments');
-          if (t.includes('connection') || t.includes('relationship')) types.add('network');
-        }
-      }
-      // Prioritize feed if present
-      if (types.has('feed')) return 'feed';
-      if (types.has('messaging')) return 'messaging';
-      if (types.has('profile')) return 'profile';
-      if (types.has('comments')) return 'comments';
-      if (types.has('network')) return 'network';
-    }
-
-    // Check elements array
-    if (Array.isArray(data.elements) && data.elements.length > 0) {
-      const first = data.elements[0];
-      if (first) {
-        if (first.actor || first.commentary || first.socialDetail) return 'feed';
-        if (first.conversationParticipants || first.messages) return 'messaging';
-        if (first.firstName || first.lastName || first.headline) return 'profile';
-      }
-    }
-
-    return null;
-  }
-
-  function categorize(url, data) {
-    // Try URL-based first
-    const urlCategory = categorizeByUrl(url);
-    if (urlCategory && urlCategory !== 'other') return urlCategory;
-
-    // Fall back to structure-based
-    const structureCategory = categorizeByStructure(data);
-    if (structureCategory) return structureCategory;
-
-    return urlCategory || 'other';
-  }
+  // Categories come from the shared rule registry (content/categorizer-registry.js),
+  // loaded just before this script; overrides from settings arrive with the config event
+  const Categorizer = window.LinkedInCategorizerRegistry;
+  const extractQueryId = Categorizer.extractQueryId;
 
   function getPathname(url) {
     try {
@@ -269,6 +162,176 @@
     }
   }
 
+  // ============================================
+  // HAR CAPTURE (OPT-IN)
+  // ============================================
+  // Full request/response pairs (method, status, headers, payloads, timing) for
+  // reverse-engineering endpoints. Stays off until the content script passes on
+  // the "Record HAR" setting, since this world can't read extension storage.
+
+  let harCaptureEnabled = false;
+  const HAR_REDACTED_HEADERS = ['cookie', 'set-cookie', 'csrf-token', 'x-csrf-token', 'authorization'];
+  const HAR_MAX_BODY_CHARS = 1024 * 1024;
+  const HTTP_VERSIONS = { 'h2': 'HTTP/2.0', 'h3': 'HTTP/3', 'http/1.1': 'HTTP/1.1', 'http/1.0': 'HTTP/1.0' };
+
+  // Settings relayed by the content script: the HAR switch and categorizer rule overrides
+  document.addEventListener('linkedin-interceptor-config', (event) => {
+    harCaptureEnabled = !!event.detail?.harCapture;
+    Categorizer.load(event.detail?.categorizerRules);
+    console.log('[MainWorldInterceptor] Config applied, HAR capture', harCaptureEnabled ? 'enabled' : 'disabled');
+  });
+
+  // Session cookies and CSRF tokens never leave the page
+  function toHarHeaders(pairs) {
+    return Array.from(pairs, ([name, value]) => ({
+      name,
+      value: HAR_REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : String(value)
+    }));
+  }
+
+  function parseRawHeaders(raw) {
+    return String(raw || '').trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+      const separator = line.indexOf(':');
+      return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+    });
+  }
+
+  function toHarQueryString(url) {
+    try {
+      return Array.from(new URL(url, window.location.origin).searchParams, ([name, value]) => ({ name, value }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function getHttpVersion(url) {
+    const timing = performance.getEntriesByName(url).pop();
+    return HTTP_VERSIONS[timing?.nextHopProtocol] || '';
+  }
+
+  function describeBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    return '[binary body]';
+  }
+
+  /**
+   * Hand one HAR 1.2 entry to the content script
+   */
+  function emitHarEntry(pair) {
+    const text = pair.responseText || '';
+    const requestHeaders = toHarHeaders(pair.requestHeaders);
+    const requestMimeType = requestHeaders.find(h => h.name.toLowerCase() === 'content-type')?.value || '';
+    const httpVersion = getHttpVersion(pair.url);
+
+    const entry = {
+      startedDateTime: pair.startedDateTime,
+      time: Math.round(pair.wait + pair.receive),
+      request: {
+        method: String(pair.method || 'GET').toUpperCase(),
+        url: new URL(pair.url, window.location.origin).href,
+        httpVersion,
+        cookies: [],
+        headers: requestHeaders,
+        queryString: toHarQueryString(pair.url),
+        headersSize: -1,
+        bodySize: pair.requestBody ? pair.requestBody.length : 0
+      },
+      response: {
+        status: pair.status,
+        statusText: pair.statusText || '',
+        httpVersion,
+        cookies: [],
+        headers: toHarHeaders(pair.responseHeaders),
+        content: {
+          size: text.length,
+          mimeType: pair.mimeType || '',
+          text: text.length > HAR_MAX_BODY_CHARS ? text.slice(0, HAR_MAX_BODY_CHARS) : text,
+          ...(text.length > HAR_MAX_BODY_CHARS ? { comment: 'truncated' } : {})
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: Math.round(pair.wait), receive: Math.round(pair.receive) },
+      _initiator: pair.initiator
+    };
+
+    if (pair.requestBody) {
+      entry.request.postData = { mimeType: requestMimeType, text: pair.requestBody };
+    }
+
+    try {
+      document.dispatchEvent(new CustomEvent('linkedin-har-entry', { detail: entry }));
+    } catch (e) {
+      console.error('[MainWorldInterceptor] Error dispatching HAR entry:', e);
+    }
+  }
+
+  function recordFetchHar(started, input, init, url, method, response) {
+    const wait = performance.now() - started.at;
+    const headers = new Headers(init?.headers || (input instanceof Request ? input.headers : undefined));
+
+    // Read a clone through the original text() so the capture interceptor below doesn't fire again
+    _originalResponseText.call(response.clone()).then(text => {
+      emitHarEntry({
+        initiator: 'fetch',
+        startedDateTime: started.dateTime,
+        url,
+        method,
+        requestHeaders: headers.entries(),
+        requestBody: describeBody(init?.body),
+        status: response.status,
+        statusText: response.statusText,
+        responseHeaders: response.headers.entries(),
+        mimeType: response.headers.get('content-type'),
+        responseText: text,
+        wait,
+        receive: performance.now() - started.at - wait
+      });
+    }).catch(() => {});
+  }
+
+  function recordXhrHar(xhr, data, body) {
+    const started = { dateTime: new Date().toISOString(), at: performance.now() };
+    let wait = 0;
+
+    xhr.addEventListener('readystatechange', () => {
+      if (xhr.readyState === XMLHttpRequest.HEADERS_RECEIVED) wait = performance.now() - started.at;
+    });
+
+    xhr.addEventListener('loadend', () => {
+      if (xhr.status === 0) return; // Aborted or network error - no response to record
+
+      let text = '';
+      try {
+        text = xhr.responseType === '' || xhr.responseType === 'text'
+          ? xhr.responseText
+          : (xhr.responseType === 'json' ? JSON.stringify(xhr.response) : '[binary body]');
+      } catch (e) {
+        // Response not readable
+      }
+
+      emitHarEntry({
+        initiator: 'xhr',
+        startedDateTime: started.dateTime,
+        url: data.url,
+        method: data.method,
+        requestHeaders: data.headers || [],
+        requestBody: describeBody(body),
+        status: xhr.status,
+        statusText: xhr.statusText,
+        responseHeaders: parseRawHeaders(xhr.getAllResponseHeaders()),
+        mimeType: xhr.getResponseHeader('content-type'),
+        responseText: text,
+        wait,
+        receive: performance.now() - started.at - wait
+      });
+    });
+  }
+
   // ============================================
   // FETCH INTERCEPTOR
   // ============================================
@@ -280,9 +343,17 @@
     // Track URL
     trackVoyagerUrl(url);
 
+    const harStarted = harCaptureEnabled && shouldCapture(url)
+      ? { dateTime: new Date().toISOString(), at: performance.now() }
+      : null;
+
     // Call original fetch
     const response = await _originalFetch.apply(this, arguments);
 
+    if (harStarted) {
+      recordFetchHar(harStarted, input, init, url, method, response);
+    }
+
     // Capture if it's a LinkedIn API call
     if (shouldCapture(url)) {
       try {
@@ -292,7 +363,7 @@
         if (contentType.includes('application/json') || contentType.includes('application/vnd.linkedin')) {
           clone.json().then(data => {
             if (data) {
-              const category = categorize(url, data);
+              const { category, handler } = Categorizer.categorize(url, data);
               const queryId = extractQueryId(url);
 
               dispatch({
@@ -301,6 +372,7 @@
                 endpoint: getPathname(url),
                 method: method,
                 category: category,
+                handler: handler,
                 queryId: queryId,
                 isGraphQL: url.includes('/graphql'),
                 data: data,
@@ -334,10 +406,21 @@
     return _originalXHROpen.apply(this, [method, url, ...rest]);
   };
 
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+    if (this._interceptData) {
+      (this._interceptData.headers = this._interceptData.headers || []).push([name, value]);
+    }
+    return _originalXHRSetRequestHeader.apply(this, arguments);
+  };
+
   XMLHttpRequest.prototype.send = function(body) {
     const xhr = this;
     const data = this._interceptData;
 
+    if (data && harCaptureEnabled && shouldCapture(data.url)) {
+      recordXhrHar(xhr, data, body);
+    }
+
     if (data && shouldCapture(data.url)) {
       xhr.addEventListener('load', function() {
         if (xhr.status >= 200 && xhr.status < 300) {
@@ -346,7 +429,7 @@
             if (ct.includes('application/json') || ct.includes('application/vnd.linkedin')) {
               const json = _originalJSONParse(xhr.responseText);
               if (json) {
-                const category = categorize(data.url, json);
+                const { category, handler } = Categorizer.categorize(data.url, json);
                 const queryId = extractQueryId(data.url);
 
                 dispatch({
@@ -355,6 +438,7 @@
                   endpoint: getPathname(data.url),
                   method: data.method,
                   category: category,
+                  handler: handler,
                   queryId: queryId,
                   isGraphQL: data.url.includes('/graphql'),
                   data: json,
@@ -380,9 +464,9 @@
     const url = this.url || '';
     const result = await _originalResponseJson.apply(this, arguments);
 
-    if (result && (shouldCapture(url) || categorizeByStructure(result))) {
+    if (result && (shouldCapture(url) || Categorizer.categorizeByStructure(result))) {
       try {
-        const category = categorize(url, result);
+        const { category, handler } = Categorizer.categorize(url, result);
         const queryId = extractQueryId(url);
 
         dispatch({
@@ -391,6 +475,7 @@
           endpoint: getPathname(url),
           method: 'GET',
           category: category,
+          handler: handler,
           queryId: queryId,
           isGraphQL: url.includes('/graphql'),
           data: result,
@@ -421,7 +506,7 @@
         // Try to parse as JSON and capture
         const jsonData = _originalJSONParse(result);
         if (jsonData && typeof jsonData === 'object') {
-          const category = categorize(url, jsonData);
+          const { category, handler } = Categorizer.categorize(url, jsonData);
           const queryId = extractQueryId(url);
 
           dispatch({
@@ -430,6 +515,7 @@
             endpoint: getPathname(url),
             method: 'GET',
             category: category,
+            handler: handler,
             queryId: queryId,
             isGraphQL: url.includes('/graphql'),
             data: jsonData,
@@ -457,13 +543,11 @@
     // Only process objects that look like LinkedIn API responses
     if (result && typeof result === 'object') {
       try {
-        const structureCategory = categorizeByStructure(result);
-
         // If we can identify it as LinkedIn data by structure
-        if (structureCategory) {
+        if (Categorizer.categorizeByStructure(result)) {
           // Try to find a matching URL from recent requests
           const url = getRecentVoyagerUrl();
-          const category = url ? categorize(url, result) : structureCategory;
+          const { category, handler } = Categorizer.categorize(url, result);
           const queryId = url ? extractQueryId(url) : null;
 
           dispatch({
@@ -472,6 +556,7 @@
             endpoint: url ? getPathname(url) : '/unknown',
             method: 'GET',
             category: category,
+            handler: handler,
             queryId: queryId,
             isGraphQL: url ? url.includes('/graphql') : false,
             data: result,
@@ -17,7 +17,12 @@
     posts: [],
     isAuthenticated: false,
     currentView: 'dashboard',
-    chartPeriod: 'week'
+    chartPeriod: 'week',
+    connectionFilter: '',
+    crmPresets: {},
+    crmBuiltIn: [],
+    externalApi: null,
+    isFetching: false
   };
 
   // ============================================
@@ -50,6 +55,7 @@
       statSearch: $('#stat-search'),
       connectionsGrowth: $('#connections-growth'),
       viewsGrowth: $('#views-growth'),
+      searchGrowth: $('#search-growth'),
 
       // Status
       statusIndicator: $('#status-indicator'),
@@ -72,7 +78,14 @@
       searchConnections: $('#search-connections'),
       showingCount: $('#showing-count'),
       totalCount: $('#total-count'),
-      filterChips: $$('.chip'),
+      networkChanges: $('#network-changes'),
+      btnExportVcard: $('#btn-export-vcard'),
+      btnToggleSelectionExport: $('#btn-toggle-selection-export'),
+      selectionExport: $('#selection-export'),
+      selectionFormat: $('#selection-format'),
+      selectionColumns: $$('.selection-column'),
+      btnExportSelection: $('#btn-export-selection'),
+      filterChips: $$('.filter-chips .chip'),
 
       // Insights
       industryList: $('#industry-list'),
@@ -88,12 +101,57 @@
       btnExportCsv: $('#btn-export-csv'),
       btnExportAllJson: $('#btn-export-all-json'),
       btnExportAllCsv: $('#btn-export-all-csv'),
+      exportDataset: $('#export-dataset'),
+      btnExportXlsx: $('#btn-export-xlsx'),
+      btnExportReport: $('#btn-export-report'),
+      btnExportMarkdown: $('#btn-export-markdown'),
+      btnExportSqlite: $('#btn-export-sqlite'),
+      crmPreset: $('#crm-preset'),
+      crmMapping: $('#crm-mapping'),
+      btnSaveCrmPreset: $('#btn-save-crm-preset'),
+      btnSaveCrmPresetAs: $('#btn-save-crm-preset-as'),
+      btnResetCrmPreset: $('#btn-reset-crm-preset'),
+      btnExportCrm: $('#btn-export-crm'),
+      importMode: $('#import-mode'),
+      importFile: $('#import-file'),
+      btnImportJson: $('#btn-import-json'),
       btnClearData: $('#btn-clear-data'),
       btnLoadConnections: $('#btn-load-connections'),
 
       // Settings
       toggleAutoCapture: $('#toggle-auto-capture'),
       toggleStoreImages: $('#toggle-store-images'),
+      toggleScheduledSync: $('#toggle-scheduled-sync'),
+      syncInterval: $('#sync-interval'),
+      syncDatasetToggles: $$('.sync-dataset-toggle'),
+      scheduledSyncStatus: $('#scheduled-sync-status'),
+      toggleWebhook: $('#toggle-webhook'),
+      webhookUrl: $('#webhook-url'),
+      webhookSecret: $('#webhook-secret'),
+      btnTestWebhook: $('#btn-test-webhook'),
+      btnRetryWebhooks: $('#btn-retry-webhooks'),
+      btnClearWebhookQueue: $('#btn-clear-webhook-queue'),
+      webhookStatus: $('#webhook-status'),
+      webhookLog: $('#webhook-log'),
+      toggleNativeHost: $('#toggle-native-host'),
+      nativeHostStatus: $('#native-host-status'),
+      externalClientId: $('#external-client-id'),
+      btnAddExternalClient: $('#btn-add-external-client'),
+      externalClients: $('#external-clients'),
+      externalApiAudit: $('#external-api-audit'),
+      toggleRecordCaptures: $('#toggle-record-captures'),
+      captureRecordingStatus: $('#capture-recording-status'),
+      btnExportFixtures: $('#btn-export-fixtures'),
+      btnClearRecordings: $('#btn-clear-recordings'),
+      btnOpenReplay: $('#btn-open-replay'),
+      toggleHarCapture: $('#toggle-har-capture'),
+      harStatus: $('#har-status'),
+      btnExportHar: $('#btn-export-har'),
+      btnClearHar: $('#btn-clear-har'),
+      categorizerRules: $('#categorizer-rules'),
+      btnSaveCategorizerRules: $('#btn-save-categorizer-rules'),
+      btnLoadBuiltinRules: $('#btn-load-builtin-rules'),
+      btnResetCategorizerRules: $('#btn-reset-categorizer-rules'),
 
       // Loading
       loadingOverlay: $('#loading-overlay'),
@@ -302,6 +360,281 @@
     }
   }
 
+  /**
+   * Show week-over-week deltas from the metric snapshot history
+   */
+  function updateMetricTrends(trends) {
+    if (!trends) return;
+
+    state.metricTrends = trends;
+
+    // Without history for a metric, keep whatever the card already shows
+    const setTrend = (el, trend) => {
+      if (!el || !trend || trend.delta === null) return;
+
+      const sign = trend.delta > 0 ? '+' : trend.delta < 0 ? '\u2212' : '';
+      el.textContent = `${sign}${formatNumber(Math.abs(trend.delta))}`;
+      el.title = trend.percentChange !== null
+        ? `${trend.percentChange}% vs previous week`
+        : 'vs previous week';
+
+      const trendEl = el.closest('.stat-trend');
+      if (trendEl) {
+        trendEl.classList.toggle('up', trend.delta > 0);
+        trendEl.classList.toggle('down', trend.delta < 0);
+        trendEl.classList.toggle('neutral', trend.delta === 0);
+      }
+    };
+
+    // Follow whichever metric each card is showing (it relabels itself for the fallbacks)
+    const analytics = state.analytics || {};
+    const viewsMetric = analytics.profileViews === undefined && analytics.impressions !== undefined ? 'impressions' : 'profileViews';
+    const searchMetric = analytics.searchAppearances === undefined && analytics.membersReached !== undefined ? 'membersReached' : 'searchAppearances';
+
+    setTrend(elements.connectionsGrowth, trends.connectionsCount);
+    setTrend(elements.viewsGrowth, trends[viewsMetric]);
+    setTrend(elements.searchGrowth, trends[searchMetric]);
+  }
+
+  /**
+   * Reflect the background sync settings in the settings view
+   */
+  function updateSyncSettings(settings) {
+    if (elements.toggleScheduledSync) elements.toggleScheduledSync.checked = settings.syncEnabled === true;
+    if (elements.syncInterval && settings.syncIntervalHours) {
+      elements.syncInterval.value = String(settings.syncIntervalHours);
+    }
+    if (elements.syncDatasetToggles && Array.isArray(settings.syncDatasets)) {
+      elements.syncDatasetToggles.forEach(toggle => {
+        toggle.checked = settings.syncDatasets.includes(toggle.dataset.dataset);
+      });
+    }
+  }
+
+  /**
+   * Show the last background sync run and when the next one is due
+   */
+  function updateScheduledSyncStatus(status) {
+    if (!elements.scheduledSyncStatus || !status) return;
+
+    const parts = [];
+    if (status.finishedAt) {
+      const failed = Object.entries(status.results || {})
+        .filter(([, result]) => !result.success)
+        .map(([dataset]) => dataset);
+      let summary = `Last run ${new Date(status.finishedAt).toLocaleString()}: ${status.status}`;
+      if (status.error) summary += ` (${status.error})`;
+      else if (failed.length > 0) summary += ` (failed: ${failed.join(', ')})`;
+      parts.push(summary);
+    } else {
+      parts.push('Not run yet');
+    }
+
+    if (status.nextRunAt) {
+      parts.push(`Next run ${new Date(status.nextRunAt).toLocaleString()}`);
+    }
+
+    elements.scheduledSyncStatus.textContent = parts.join(' \u00b7 ');
+  }
+
+  /**
+   * Reflect the webhook settings in the settings view
+   */
+  function updateWebhookSettings(settings) {
+    if (elements.toggleWebhook) elements.toggleWebhook.checked = settings.webhookEnabled === true;
+    if (elements.webhookUrl) elements.webhookUrl.value = settings.webhookUrl || '';
+    if (elements.webhookSecret) elements.webhookSecret.value = settings.webhookSecret || '';
+  }
+
+  /**
+   * Show the delivery queue and the most recent attempts
+   */
+  function updateWebhookStatus(status) {
+    if (!status) return;
+
+    if (elements.webhookStatus) {
+      if (status.queued === 0) {
+        elements.webhookStatus.textContent = 'Nothing queued';
+      } else {
+        let summary = `${formatNumber(status.queued)} queued`;
+        if (status.nextAttemptAt) summary += ` \u00b7 next attempt ${new Date(status.nextAttemptAt).toLocaleTimeString()}`;
+        if (status.lastError) summary += ` (${status.lastError})`;
+        elements.webhookStatus.textContent = summary;
+      }
+    }
+
+    if (elements.webhookLog) {
+      // Errors can carry text from the endpoint's response - escape them
+      elements.webhookLog.innerHTML = (status.log || []).slice(0, 10).map(entry => `
+        <li>
+          <span class="${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</span>
+          <span>${escapeHtml(entry.event)}${entry.attempt > 1 ? ` (try ${Number(entry.attempt)})` : ''}</span>
+          <span>${escapeHtml(entry.httpStatus || entry.error)}</span>
+          <span>${new Date(entry.at).toLocaleTimeString()}</span>
+        </li>
+      `).join('');
+    }
+  }
+
+  /**
+   * Show whether the companion host is connected
+   */
+  function updateNativeHostStatus(status) {
+    if (!elements.nativeHostStatus || !status) return;
+
+    const enabled = elements.toggleNativeHost ? elements.toggleNativeHost.checked : false;
+    if (status.connected) {
+      elements.nativeHostStatus.textContent = `Connected to ${status.hostName} since ${new Date(status.connectedAt).toLocaleTimeString()}` +
+        ` \u00b7 ${formatNumber(status.requestCount)} requests`;
+    } else if (enabled) {
+      elements.nativeHostStatus.textContent = `Not connected${status.lastError ? ` (${status.lastError})` : ''}`;
+    } else {
+      elements.nativeHostStatus.textContent = 'Disabled';
+    }
+  }
+
+  /**
+   * List allowlisted extensions with their scopes, and the latest audit entries
+   */
+  function updateExternalApiStatus(status) {
+    if (!status) return;
+    state.externalApi = status;
+
+    if (elements.externalClients) {
+      elements.externalClients.innerHTML = Object.entries(status.clients).map(([id, client]) => `
+        <div class="external-client">
+          <div class="external-client-header">
+            <span title="Allowed since ${new Date(client.addedAt).toLocaleString()}">${escapeHtml(client.label)}</span>
+            <button class="btn-revoke" data-client="${id}">Revoke</button>
+          </div>
+          <div class="external-client-scopes">
+            ${Object.entries(status.scopes).map(([scope, label]) => `
+              <label>
+                <input type="checkbox" data-client="${id}" data-scope="${scope}" ${client.scopes.includes(scope) ? 'checked' : ''}>
+                ${label}
+              </label>
+            `).join('')}
+          </div>
+        </div>
+      `).join('');
+    }
+
+    if (elements.externalApiAudit) {
+      // Types and keys come from the calling extension - escape them
+      elements.externalApiAudit.innerHTML = status.audit.slice(0, 10).map(entry => `
+        <li>
+          <span class="${entry.allowed ? (entry.error ? 'failed' : 'allowed') : 'denied'}">${entry.allowed ? 'allowed' : entry.reason}</span>
+          <span>${escapeHtml(entry.type || '-')}${entry.key ? ` ${escapeHtml(entry.key)}` : ''}</span>
+          <span title="${escapeHtml(entry.callerId)}">${escapeHtml((status.clients[entry.callerId]?.label || entry.callerId || '').slice(0, 8))}</span>
+          <span>${new Date(entry.at).toLocaleTimeString()}</span>
+        </li>
+      `).join('');
+    }
+  }
+
+  function updateCaptureRecordingStatus(status) {
+    if (!elements.captureRecordingStatus || !status) return;
+
+    if (status.count === 0) {
+      elements.captureRecordingStatus.textContent = 'No captures recorded';
+    } else if (status.count >= status.maxCount) {
+      elements.captureRecordingStatus.textContent = `${formatNumber(status.count)} captures recorded (full - export and clear to keep recording)`;
+    } else {
+      elements.captureRecordingStatus.textContent = `${formatNumber(status.count)} captures recorded since ${new Date(status.firstRecordedAt).toLocaleString()}`;
+    }
+  }
+
+  function updateHarStatus(status) {
+    if (!elements.harStatus || !status) return;
+
+    const megabytes = chars => (chars / (1024 * 1024)).toFixed(1);
+    const size = `${megabytes(status.storedChars)} of ${megabytes(status.maxStoredChars)} MB`;
+
+    if (status.count === 0) {
+      elements.harStatus.textContent = 'No requests recorded';
+    } else if (status.count >= status.maxEntries || status.storedChars >= status.maxStoredChars) {
+      elements.harStatus.textContent = `${formatNumber(status.count)} requests recorded, ${size} (full - export and clear to keep recording)`;
+    } else {
+      elements.harStatus.textContent = `${formatNumber(status.count)} requests recorded since ${new Date(status.firstStartedAt).toLocaleString()}, ${size}`;
+    }
+  }
+
+  /**
+   * Fill the CRM preset picker and show the selected preset's mapping
+   */
+  function updateCRMPresets(response, selectedId) {
+    state.crmPresets = response.data || {};
+    state.crmBuiltIn = response.builtIn || [];
+    if (!elements.crmPreset) return;
+
+    const current = selectedId || elements.crmPreset.value || Object.keys(state.crmPresets)[0];
+    // Ids and labels come from prompt() or imported settings - build options as text, not markup
+    elements.crmPreset.replaceChildren(...Object.entries(state.crmPresets).map(([id, preset]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = preset.label || id;
+      return option;
+    }));
+    elements.crmPreset.value = state.crmPresets[current] ? current : Object.keys(state.crmPresets)[0];
+    renderCRMMapping();
+  }
+
+  function renderCRMMapping() {
+    const preset = state.crmPresets[elements.crmPreset?.value];
+    if (!preset || !elements.crmMapping) return;
+
+    elements.crmMapping.value = preset.columns.map(column => {
+      if (column.value !== undefined) return `${column.header} = ${JSON.stringify(column.value)}`;
+      return `${column.header} = ${(column.fields || []).join(' || ')}${column.format ? ` | ${column.format}` : ''}`;
+    }).join('\n');
+
+    if (elements.btnResetCrmPreset) {
+      elements.btnResetCrmPreset.textContent = state.crmBuiltIn.includes(elements.crmPreset.value) ? 'Reset' : 'Delete';
+    }
+  }
+
+  /**
+   * Parse the mapping editor back into preset columns
+   */
+  function parseCRMMapping(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map((line, i) => {
+      const separator = line.indexOf('=');
+      const header = separator > 0 ? line.slice(0, separator).trim() : '';
+      const source = separator > 0 ? line.slice(separator + 1).trim() : '';
+      if (!header || !source) {
+        throw new Error(`Line ${i + 1}: expected "Header = field"`);
+      }
+
+      const quoted = source.match(/^"(.*)"$/);
+      if (quoted) return { header, value: quoted[1].replace(/\\"/g, '"') };
+
+      const [, fields, format] = source.match(/^(.*?)(?:\s*(?<!\|)\|(?!\|)\s*(\w+))?$/);
+      const column = { header, fields: fields.split(/\s*\|\|\s*|\s*,\s*/).filter(Boolean) };
+      if (format) column.format = format;
+      return column;
+    });
+  }
+
+  /**
+   * Show connections gained and lost this month from the sync change log
+   */
+  function updateNetworkChanges(changes) {
+    if (!elements.networkChanges || !changes) return;
+
+    if (changes.added === 0 && changes.removed === 0) {
+      elements.networkChanges.textContent = 'No network changes this month';
+      return;
+    }
+
+    elements.networkChanges.textContent =
+      `+${formatNumber(changes.added)} / \u2212${formatNumber(changes.removed)} this month`;
+    elements.networkChanges.title = changes.changes
+      .slice(-10)
+      .reverse()
+      .map(change => `${change.type === 'added' ? '+' : '\u2212'} ${change.fullName || change.publicIdentifier || change.key}`)
+      .join('\n');
+  }
+
   /**
    * Update display with detailed post analytics
    */
@@ -783,6 +1116,14 @@
     return text.substring(0, maxLength).trim() + '...';
   }
 
+  function filterConnections(connections, filter) {
+    if (!filter) return connections;
+    return connections.filter(c => {
+      const searchStr = `${c.firstName} ${c.lastName} ${c.fullName || ''} ${c.headline || ''} ${c.company || ''}`.toLowerCase();
+      return searchStr.includes(filter.toLowerCase());
+    });
+  }
+
   function renderConnections(filter = '') {
     if (!elements.connectionsList) return;
 
@@ -814,15 +1155,12 @@
       return;
     }
 
-    // Filter connections
-    const filtered = filter
-      ? connections.filter(c => {
-          const searchStr = `${c.firstName} ${c.lastName} ${c.fullName || ''} ${c.headline || ''} ${c.company || ''}`.toLowerCase();
-          return searchStr.includes(filter.toLowerCase());
-        })
-      : connections;
+    const filtered = filterConnections(connections, filter);
 
     if (elements.showingCount) elements.showingCount.textContent = filtered.length;
+    if (elements.btnExportSelection) {
+      elements.btnExportSelection.textContent = `Export ${formatNumber(filtered.length)} connections`;
+    }
     if (elements.totalCount) elements.totalCount.textContent = connections.length;
 
     // Render connections (virtualized - only render visible items)
@@ -865,45 +1203,59 @@
   function renderChart(connections, period = 'week') {
     if (!elements.chartArea || !elements.chartPlaceholder) return;
 
-    if (!connections || connections.length === 0) {
+    const legend = $('#chart-legend');
+
+    // Only connections with a known creation date can be bucketed
+    const dated = (connections || []).filter(c => c.connectedAt);
+
+    if (dated.length === 0) {
+      // Re-attach the placeholder in case a previous render replaced it
+      elements.chartArea.innerHTML = '';
+      elements.chartArea.appendChild(elements.chartPlaceholder);
       elements.chartPlaceholder.classList.remove('hidden');
+      if (legend) legend.textContent = '';
       return;
     }
 
     elements.chartPlaceholder.classList.add('hidden');
 
-    // Generate mock data based on connections count
-    // In real app, you'd track connection dates
+    // Bucket real new connections per day (7D/30D) or per month (1Y)
     const periods = {
       week: { count: 7, label: 'day', format: d => d.toLocaleDateString('en', { weekday: 'short' }) },
       month: { count: 30, label: 'day', format: d => d.getDate() },
       year: { count: 12, label: 'month', format: d => d.toLocaleDateString('en', { month: 'short' }) }
     };
 
-    const config = periods[period];
+    const config = periods[period] || periods.week;
+    const bucketKey = d => config.label === 'month'
+      ? `${d.getFullYear()}-${d.getMonth()}`
+      : `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+
     const data = [];
+    const buckets = new Map();
     const now = new Date();
 
     for (let i = config.count - 1; i >= 0; i--) {
-      const date = new Date(now);
-      if (period === 'year') {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      if (config.label === 'month') {
+        date.setDate(1);
         date.setMonth(date.getMonth() - i);
       } else {
         date.setDate(date.getDate() - i);
       }
 
-      // Generate realistic-looking growth data
-      const baseValue = Math.floor(connections.length / config.count);
-      const variance = Math.floor(Math.random() * (baseValue * 0.5));
-      const value = baseValue + variance - Math.floor(baseValue * 0.25);
-
-      data.push({
-        label: config.format(date),
-        value: Math.max(0, value)
-      });
+      const bucket = { label: config.format(date), value: 0 };
+      buckets.set(bucketKey(date), bucket);
+      data.push(bucket);
     }
 
+    dated.forEach(c => {
+      const bucket = buckets.get(bucketKey(new Date(c.connectedAt)));
+      if (bucket) bucket.value++;
+    });
+
     const maxValue = Math.max(...data.map(d => d.value), 1);
+    const totalNew = data.reduce((sum, d) => sum + d.value, 0);
 
     const chartHTML = `
       <div class="mini-chart">
@@ -920,6 +1272,11 @@
     `;
 
     elements.chartArea.innerHTML = chartHTML;
+
+    if (legend) {
+      const span = { week: '7 days', month: '30 days', year: '12 months' }[period] || '7 days';
+      legend.textContent = `${formatNumber(totalNew)} new connections in the last ${span}`;
+    }
   }
 
   // ============================================
@@ -1080,6 +1437,21 @@
         renderChart(state.connections, state.chartPeriod);
       }
 
+      // Get connections added/removed since the start of the month
+      const monthStart = new Date();
+      monthStart.setDate(1);
+      monthStart.setHours(0, 0, 0, 0);
+      const changesResponse = await sendMessage({ type: 'GET_CONNECTION_CHANGES', since: monthStart.toISOString() });
+      if (changesResponse && changesResponse.success) {
+        updateNetworkChanges(changesResponse.data);
+      }
+
+      // Get week-over-week metric trends from the snapshot history
+      const trendsResponse = await sendMessage({ type: 'GET_METRIC_TRENDS', days: 7 });
+      if (trendsResponse && trendsResponse.success) {
+        updateMetricTrends(trendsResponse.data);
+      }
+
       // Get feed posts (captured from browsing)
       const feedPostsResponse = await sendMessage({ type: 'GET_DATA', key: 'linkedin_feed_posts' });
       if (feedPostsResponse.data) {
@@ -1116,9 +1488,9 @@
         }
       }
 
-      // Get captured APIs count (passive capture data)
-      const capturedApisResponse = await sendMessage({ type: 'GET_DATA', key: 'captured_apis' });
-      const capturedApisCount = capturedApisResponse.data?.length || 0;
+      // Get captured APIs count (passive capture data, counted in IndexedDB)
+      const statsResponse = await sendMessage({ type: 'GET_STATS' });
+      const capturedApisCount = statsResponse.stats?.apisCaptured || 0;
       console.log('[Popup] Captured APIs count:', capturedApisCount);
 
       // Update captured APIs indicator if element exists
@@ -1156,6 +1528,49 @@
       if (settingsResponse.data) {
         if (elements.toggleAutoCapture) elements.toggleAutoCapture.checked = settingsResponse.data.autoCapture !== false;
         if (elements.toggleStoreImages) elements.toggleStoreImages.checked = settingsResponse.data.storeImages !== false;
+        updateSyncSettings(settingsResponse.data);
+        updateWebhookSettings(settingsResponse.data);
+        if (elements.toggleNativeHost) elements.toggleNativeHost.checked = settingsResponse.data.nativeHostEnabled === true;
+        if (elements.toggleRecordCaptures) elements.toggleRecordCaptures.checked = settingsResponse.data.recordCaptures === true;
+        if (elements.toggleHarCapture) elements.toggleHarCapture.checked = settingsResponse.data.harCapture === true;
+        renderCategorizerRules(settingsResponse.data.categorizerRules);
+      }
+
+      const nativeHostResponse = await sendMessage({ type: 'GET_NATIVE_HOST_STATUS' });
+      if (nativeHostResponse && nativeHostResponse.success) {
+        updateNativeHostStatus(nativeHostResponse.data);
+      }
+
+      const externalApiResponse = await sendMessage({ type: 'GET_EXTERNAL_API_STATUS' });
+      if (externalApiResponse && externalApiResponse.success) {
+        updateExternalApiStatus(externalApiResponse.data);
+      }
+
+      const recordingResponse = await sendMessage({ type: 'GET_CAPTURE_RECORDING_STATUS' });
+      if (recordingResponse && recordingResponse.success) {
+        updateCaptureRecordingStatus(recordingResponse.data);
+      }
+
+      const harResponse = await sendMessage({ type: 'GET_HAR_STATUS' });
+      if (harResponse && harResponse.success) {
+        updateHarStatus(harResponse.data);
+      }
+
+      const webhookResponse = await sendMessage({ type: 'GET_WEBHOOK_STATUS' });
+      if (webhookResponse && webhookResponse.success) {
+        updateWebhookStatus(webhookResponse.data);
+      }
+
+      // CRM export presets (built-ins plus the user's edits)
+      const crmResponse = await sendMessage({ type: 'GET_CRM_PRESETS' });
+      if (crmResponse && crmResponse.success) {
+        updateCRMPresets(crmResponse);
+      }
+
+      // Get last background sync run
+      const syncStatusResponse = await sendMessage({ type: 'GET_SCHEDULED_SYNC_STATUS' });
+      if (syncStatusResponse && syncStatusResponse.success) {
+        updateScheduledSyncStatus(syncStatusResponse.data);
       }
 
     } catch (error) {
@@ -1167,23 +1582,50 @@
   // EVENT HANDLERS
   // ============================================
 
+  /**
+   * Show connection sync progress pushed from the service worker
+   */
+  function handleSyncProgress(job) {
+    if (!job) return;
+
+    if (job.status === 'running') {
+      const counts = job.total
+        ? `${formatNumber(job.fetched)} / ${formatNumber(job.total)}`
+        : formatNumber(job.fetched);
+      showLoading(`Syncing connections... ${counts}`, job.percent ?? 0);
+      return;
+    }
+
+    // A fetch started from this popup handles its own completion
+    if (state.isFetching) return;
+
+    hideLoading();
+    if (job.status === 'completed') {
+      showToast(`Synced ${formatNumber(job.fetched)} connections`, 'success');
+      loadAllData();
+    } else if (job.status === 'paused' || job.status === 'failed') {
+      showToast(`Connection sync ${job.status} - fetch again to resume`, 'warning');
+    }
+  }
+
   async function handleFetchData() {
-    showLoading('Connecting to LinkedIn...', 10);
+    state.isFetching = true;
+    showLoading('Connecting to LinkedIn...', 0);
 
     try {
-      updateLoadingProgress('Fetching profile data...', 20);
+      updateLoadingProgress('Fetching profile data...', 0);
 
       const response = await sendMessage({ type: 'FETCH_ALL_DATA' });
 
       if (response.success) {
-        updateLoadingProgress('Processing data...', 60);
+        updateLoadingProgress('Processing data...', 100);
 
         // Update profile
         if (response.profile && response.profile.data) {
           updateProfile(response.profile.data);
         }
 
-        updateLoadingProgress('Loading connections...', 70);
+        updateLoadingProgress('Loading connections...', 100);
 
         // Update connections
         if (response.connections && response.connections.data) {
@@ -1193,7 +1635,7 @@
           renderChart(state.connections, state.chartPeriod);
         }
 
-        updateLoadingProgress('Fetching top hits...', 85);
+        updateLoadingProgress('Fetching top hits...', 100);
 
         // Update posts/top hits
         if (response.posts && response.posts.data) {
@@ -1214,7 +1656,11 @@
 
         setTimeout(() => {
           hideLoading();
-          showToast('Data fetched successfully!', 'success');
+          if (response.connections && !response.connections.success) {
+            showToast('Connection sync stopped early - fetch again to resume', 'warning');
+          } else {
+            showToast('Data fetched successfully!', 'success');
+          }
         }, 500);
 
       } else {
@@ -1225,20 +1671,29 @@
       console.error('Fetch error:', error);
       hideLoading();
       showToast('Make sure you\'re logged into LinkedIn', 'error');
+    } finally {
+      state.isFetching = false;
     }
   }
 
-  async function handleExport(type = 'json') {
+  async function handleExport(type = 'json', dataKey = 'linkedin_connections') {
     try {
-      const messageType = type === 'csv' ? 'EXPORT_CSV' : 'EXPORT_JSON';
+      const messageTypes = { csv: 'EXPORT_CSV', json: 'EXPORT_JSON', xlsx: 'EXPORT_XLSX', html: 'EXPORT_HTML_REPORT', markdown: 'EXPORT_MARKDOWN', sqlite: 'EXPORT_SQLITE' };
       const response = await sendMessage({
-        type: messageType,
-        dataKey: type === 'csv' ? 'linkedin_connections' : undefined
+        type: messageTypes[type],
+        dataKey: type === 'csv' ? dataKey : undefined
       });
 
       if (response.success) {
-        downloadFile(response.content, response.filename, type === 'csv' ? 'text/csv' : 'application/json');
-        showToast(`Exported as ${type.toUpperCase()}!`, 'success');
+        const content = response.encoding === 'base64' ? base64ToBytes(response.content) : response.content;
+        const mimeTypes = { csv: 'text/csv', json: 'application/json' };
+        downloadFile(content, response.filename, response.mimeType || mimeTypes[type]);
+        const messages = {
+          csv: `Exported ${formatNumber(response.rowCount)} rows as CSV!`,
+          markdown: `Exported ${formatNumber(response.rowCount)} Markdown notes!`,
+          sqlite: `Exported ${formatNumber(response.rowCount)} rows to SQLite!`
+        };
+        showToast(messages[type] || `Exported as ${type.toUpperCase()}!`, 'success');
       } else {
         showToast(response.error || 'Export failed', 'error');
       }
@@ -1248,6 +1703,153 @@
     }
   }
 
+  // Keys of the connections the search currently shows (undefined = the whole network)
+  function getSelectedConnectionKeys() {
+    if (!state.connectionFilter) return undefined;
+    return filterConnections(state.connections, state.connectionFilter)
+      .map(c => c.entityUrn || c.connectionUrn || c.publicIdentifier);
+  }
+
+  async function handleExportSelection() {
+    try {
+      const columns = Array.from(elements.selectionColumns || [])
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value);
+      if (columns.length === 0) {
+        showToast('Pick at least one column', 'warning');
+        return;
+      }
+
+      const format = elements.selectionFormat ? elements.selectionFormat.value : 'csv';
+      const response = await sendMessage({
+        type: 'EXPORT_CONNECTION_SELECTION',
+        connectionKeys: getSelectedConnectionKeys(),
+        format,
+        columns
+      });
+
+      if (response.success) {
+        downloadFile(response.content, response.filename, response.mimeType);
+        showToast(`Exported ${formatNumber(response.rowCount)} connections as ${format.toUpperCase()}!`, 'success');
+      } else {
+        showToast(response.error || 'Export failed', 'error');
+      }
+    } catch (error) {
+      console.error('Selection export error:', error);
+      showToast('Export failed', 'error');
+    }
+  }
+
+  async function handleExportVCard() {
+    try {
+      const connectionKeys = getSelectedConnectionKeys();
+      const response = await sendMessage({ type: 'EXPORT_VCARD', connectionKeys });
+
+      if (response.success) {
+        downloadFile(response.content, response.filename, response.mimeType);
+        showToast(`Exported ${formatNumber(response.rowCount)} contacts as vCard!`, 'success');
+      } else {
+        showToast(response.error || 'Export failed', 'error');
+      }
+    } catch (error) {
+      console.error('vCard export error:', error);
+      showToast('Export failed', 'error');
+    }
+  }
+
+  async function handleSaveCRMPreset(saveAs = false) {
+    let presetId = elements.crmPreset ? elements.crmPreset.value : null;
+    let label = state.crmPresets[presetId]?.label;
+
+    if (saveAs) {
+      label = prompt('Name for the new CRM preset:');
+      if (!label) return;
+      presetId = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `preset-${Date.now()}`;
+    }
+
+    try {
+      const columns = parseCRMMapping(elements.crmMapping ? elements.crmMapping.value : '');
+      if (columns.length === 0) {
+        showToast('Add at least one column', 'warning');
+        return;
+      }
+
+      const response = await sendMessage({ type: 'SAVE_CRM_PRESET', presetId, preset: { label, columns } });
+      if (response.success) {
+        updateCRMPresets(response, presetId);
+        showToast(`Saved ${label} preset`, 'success');
+      } else {
+        showToast(response.error || 'Could not save preset', 'error');
+      }
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+
+  async function handleResetCRMPreset() {
+    const presetId = elements.crmPreset ? elements.crmPreset.value : null;
+    if (!presetId) return;
+
+    const response = await sendMessage({ type: 'SAVE_CRM_PRESET', presetId, preset: null });
+    if (response.success) {
+      updateCRMPresets(response, presetId);
+      showToast(state.crmBuiltIn.includes(presetId) ? 'Preset reset to default' : 'Preset deleted', 'success');
+    } else {
+      showToast(response.error || 'Could not reset preset', 'error');
+    }
+  }
+
+  async function handleExportCRM() {
+    try {
+      const presetId = elements.crmPreset ? elements.crmPreset.value : null;
+      const response = await sendMessage({ type: 'EXPORT_CRM', presetId });
+
+      if (response.success) {
+        downloadFile(response.content, response.filename, response.mimeType);
+        showToast(`Exported ${formatNumber(response.rowCount)} contacts for ${state.crmPresets[presetId]?.label || presetId}!`, 'success');
+      } else {
+        showToast(response.error || 'Export failed', 'error');
+      }
+    } catch (error) {
+      console.error('CRM export error:', error);
+      showToast('Export failed', 'error');
+    }
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    const mode = elements.importMode ? elements.importMode.value : 'merge';
+    if (mode === 'replace' && !confirm('Replace stored datasets with the ones in this file?')) {
+      e.target.value = '';
+      return;
+    }
+
+    showLoading('Importing data...', 50);
+
+    try {
+      const content = await file.text();
+      const response = await sendMessage({ type: 'IMPORT_JSON', content, mode });
+
+      hideLoading();
+      if (response.success) {
+        const count = Object.keys(response.data.imported).length;
+        showToast(`Imported ${count} dataset${count === 1 ? '' : 's'}`, 'success');
+        await loadAllData();
+      } else {
+        showToast(response.error || 'Import failed', 'error');
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      hideLoading();
+      showToast('Import failed', 'error');
+    } finally {
+      // Allow re-importing the same file
+      e.target.value = '';
+    }
+  }
+
   async function handleClearData() {
     if (!confirm('Clear all stored data? This cannot be undone.')) {
       return;
@@ -1283,22 +1885,296 @@
 
   async function handleSaveSettings() {
     try {
-      await sendMessage({
-        type: 'SAVE_DATA',
-        key: 'extension_settings',
-        data: {
-          autoCapture: elements.toggleAutoCapture ? elements.toggleAutoCapture.checked : true,
-          storeImages: elements.toggleStoreImages ? elements.toggleStoreImages.checked : true
+      const settings = {
+        autoCapture: elements.toggleAutoCapture ? elements.toggleAutoCapture.checked : true,
+        storeImages: elements.toggleStoreImages ? elements.toggleStoreImages.checked : true
+      };
+
+      if (elements.toggleScheduledSync) {
+        settings.syncEnabled = elements.toggleScheduledSync.checked;
+      }
+      if (elements.syncInterval) {
+        settings.syncIntervalHours = Number(elements.syncInterval.value);
+      }
+      if (elements.syncDatasetToggles && elements.syncDatasetToggles.length > 0) {
+        settings.syncDatasets = Array.from(elements.syncDatasetToggles)
+          .filter(toggle => toggle.checked)
+          .map(toggle => toggle.dataset.dataset);
+      }
+
+      // Merged into the stored settings, which also reschedules the sync alarm
+      const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings });
+
+      const syncStatusResponse = await sendMessage({ type: 'GET_SCHEDULED_SYNC_STATUS' });
+      if (response.success && syncStatusResponse.success) {
+        updateScheduledSyncStatus(syncStatusResponse.data);
+      }
+    } catch (error) {
+      console.error('Settings save error:', error);
+    }
+  }
+
+  async function handleSaveWebhookSettings() {
+    const settings = {
+      webhookEnabled: elements.toggleWebhook ? elements.toggleWebhook.checked : false,
+      webhookUrl: elements.webhookUrl ? elements.webhookUrl.value.trim() : '',
+      webhookSecret: elements.webhookSecret ? elements.webhookSecret.value.trim() : ''
+    };
+
+    try {
+      // Host access to the endpoint lets the worker POST without the server having to answer CORS
+      if (settings.webhookEnabled && settings.webhookUrl) {
+        let origin = null;
+        try {
+          const url = new URL(settings.webhookUrl);
+          origin = `${url.protocol}//${url.hostname}/*`;
+        } catch (error) {
+          // Invalid URLs are rejected by the service worker below
         }
+
+        if (origin && !(await chrome.permissions.request({ origins: [origin] }))) {
+          if (elements.toggleWebhook) elements.toggleWebhook.checked = false;
+          showToast('Webhook needs access to the local endpoint', 'warning');
+          return;
+        }
+      }
+
+      const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings });
+      if (!response.success) {
+        if (elements.toggleWebhook) elements.toggleWebhook.checked = false;
+        showToast(response.error || 'Could not save webhook settings', 'error');
+        return;
+      }
+
+      updateWebhookSettings(response.data);
+    } catch (error) {
+      console.error('Webhook settings error:', error);
+      showToast('Could not save webhook settings', 'error');
+    }
+  }
+
+  async function handleToggleNativeHost() {
+    const enabled = elements.toggleNativeHost.checked;
+
+    try {
+      if (enabled && !(await chrome.permissions.request({ permissions: ['nativeMessaging'] }))) {
+        elements.toggleNativeHost.checked = false;
+        showToast('Native messaging permission is required', 'warning');
+        return;
+      }
+
+      const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings: { nativeHostEnabled: enabled } });
+      if (!response.success) {
+        showToast(response.error || 'Could not update native host', 'error');
+        return;
+      }
+
+      // A missing host disconnects right after launch - give it a moment before reporting
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const statusResponse = await sendMessage({ type: 'GET_NATIVE_HOST_STATUS' });
+      if (statusResponse && statusResponse.success) {
+        updateNativeHostStatus(statusResponse.data);
+      }
+    } catch (error) {
+      console.error('Native host toggle error:', error);
+      showToast('Could not update native host', 'error');
+    }
+  }
+
+  async function saveExternalClient(extensionId, client) {
+    try {
+      const response = await sendMessage({ type: 'SAVE_EXTERNAL_API_CLIENT', extensionId, client });
+      if (response.success) {
+        updateExternalApiStatus(response.data);
+      } else {
+        showToast(response.error || 'Could not update extension access', 'error');
+      }
+      return response.success;
+    } catch (error) {
+      console.error('External API client error:', error);
+      showToast('Could not update extension access', 'error');
+      return false;
+    }
+  }
+
+  async function handleAddExternalClient() {
+    const extensionId = elements.externalClientId ? elements.externalClientId.value.trim() : '';
+    if (!extensionId) return;
+
+    const existing = state.externalApi?.clients[extensionId];
+    if (await saveExternalClient(extensionId, { scopes: existing ? existing.scopes : [] })) {
+      elements.externalClientId.value = '';
+      if (!existing) showToast('Extension allowed - tick the data it may read', 'success');
+    }
+  }
+
+  function handleExternalClientChange(e) {
+    const { client: extensionId, scope } = e.target.dataset;
+    const client = state.externalApi?.clients[extensionId];
+    if (!scope || !client) return;
+
+    const scopes = e.target.checked
+      ? [...client.scopes, scope]
+      : client.scopes.filter(granted => granted !== scope);
+    saveExternalClient(extensionId, { label: client.label, scopes });
+  }
+
+  function handleExternalClientClick(e) {
+    const button = e.target.closest('.btn-revoke');
+    if (button) saveExternalClient(button.dataset.client, null);
+  }
+
+  async function handleToggleRecordCaptures() {
+    try {
+      await sendMessage({
+        type: 'UPDATE_SETTINGS',
+        settings: { recordCaptures: elements.toggleRecordCaptures.checked }
       });
     } catch (error) {
-      console.error('Settings save error:', error);
+      console.error('Record captures toggle error:', error);
+    }
+  }
+
+  async function handleExportFixtures() {
+    try {
+      const response = await sendMessage({ type: 'EXPORT_CAPTURE_FIXTURES' });
+      if (response.success) {
+        downloadFile(response.content, response.filename, 'application/json');
+        showToast(`Downloaded ${formatNumber(response.eventCount)} captures`, 'success');
+      } else {
+        showToast(response.error || 'Export failed', 'error');
+      }
+    } catch (error) {
+      console.error('Fixture export error:', error);
+      showToast('Export failed', 'error');
+    }
+  }
+
+  async function handleClearRecordings() {
+    try {
+      const response = await sendMessage({ type: 'CLEAR_CAPTURE_RECORDINGS' });
+      if (response.success) {
+        updateCaptureRecordingStatus(response.data);
+        showToast('Recorded captures cleared', 'success');
+      }
+    } catch (error) {
+      console.error('Clear recordings error:', error);
+      showToast('Failed to clear recordings', 'error');
+    }
+  }
+
+  function renderCategorizerRules(rules) {
+    if (!elements.categorizerRules) return;
+    elements.categorizerRules.value = JSON.stringify(rules || [], null, 2);
+  }
+
+  async function handleSaveCategorizerRules() {
+    let rules;
+    try {
+      rules = JSON.parse(elements.categorizerRules.value.trim() || '[]');
+    } catch (error) {
+      showToast(`Invalid JSON: ${error.message}`, 'error');
+      return;
+    }
+
+    const errors = window.LinkedInCategorizerRegistry.validateRules(rules);
+    if (errors.length > 0) {
+      showToast(errors[0], 'error');
+      return;
+    }
+
+    try {
+      const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings: { categorizerRules: rules } });
+      if (!response.success) {
+        showToast(response.error || 'Could not save rules', 'error');
+        return;
+      }
+      renderCategorizerRules(rules);
+      showToast('Categorizer rules saved', 'success');
+    } catch (error) {
+      console.error('Save categorizer rules error:', error);
+      showToast('Failed to save rules', 'error');
+    }
+  }
+
+  async function handleResetCategorizerRules() {
+    if (!confirm('Remove all categorizer rule overrides and use the built-in rules?')) return;
+
+    try {
+      const response = await sendMessage({ type: 'UPDATE_SETTINGS', settings: { categorizerRules: [] } });
+      if (!response.success) {
+        showToast(response.error || 'Could not reset rules', 'error');
+        return;
+      }
+      renderCategorizerRules([]);
+      showToast('Using built-in categorizer rules', 'success');
+    } catch (error) {
+      console.error('Reset categorizer rules error:', error);
+      showToast('Failed to reset rules', 'error');
+    }
+  }
+
+  async function handleToggleHarCapture() {
+    try {
+      await sendMessage({
+        type: 'UPDATE_SETTINGS',
+        settings: { harCapture: elements.toggleHarCapture.checked }
+      });
+    } catch (error) {
+      console.error('HAR capture toggle error:', error);
+    }
+  }
+
+  async function handleExportHar() {
+    try {
+      const response = await sendMessage({ type: 'EXPORT_HAR' });
+      if (response.success) {
+        downloadFile(response.content, response.filename, 'application/json');
+        showToast(`Exported ${formatNumber(response.entryCount)} requests`, 'success');
+      } else {
+        showToast(response.error || 'Export failed', 'error');
+      }
+    } catch (error) {
+      console.error('HAR export error:', error);
+      showToast('Export failed', 'error');
+    }
+  }
+
+  async function handleClearHar() {
+    try {
+      const response = await sendMessage({ type: 'CLEAR_HAR' });
+      if (response.success) {
+        updateHarStatus(response.data);
+        showToast('Recorded requests cleared', 'success');
+      }
+    } catch (error) {
+      console.error('Clear HAR error:', error);
+      showToast('Failed to clear recorded requests', 'error');
+    }
+  }
+
+  async function handleWebhookAction(type) {
+    try {
+      const response = await sendMessage({ type });
+
+      if (type === 'TEST_WEBHOOK') {
+        showToast(response.success ? 'Test delivery succeeded' : `Test delivery failed: ${response.error}`,
+          response.success ? 'success' : 'error');
+      }
+
+      const statusResponse = type === 'TEST_WEBHOOK' ? await sendMessage({ type: 'GET_WEBHOOK_STATUS' }) : response;
+      if (statusResponse && statusResponse.success) {
+        updateWebhookStatus(statusResponse.data);
+      }
+    } catch (error) {
+      console.error('Webhook action error:', error);
+      showToast('Webhook request failed', 'error');
     }
   }
 
   function handleSearch(e) {
-    const filter = e.target.value;
-    renderConnections(filter);
+    state.connectionFilter = e.target.value;
+    renderConnections(state.connectionFilter);
   }
 
   function handleChartPeriodChange(period) {
@@ -1322,6 +2198,23 @@
     return num.toLocaleString();
   }
 
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   function downloadFile(content, filename, type) {
     const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
@@ -1369,8 +2262,67 @@
       elements.btnExportAllJson.addEventListener('click', () => handleExport('json'));
     }
 
+    if (elements.btnImportJson && elements.importFile) {
+      elements.btnImportJson.addEventListener('click', () => elements.importFile.click());
+      elements.importFile.addEventListener('change', handleImport);
+    }
+
+    if (elements.btnExportVcard) {
+      elements.btnExportVcard.addEventListener('click', handleExportVCard);
+    }
+
+    if (elements.btnToggleSelectionExport && elements.selectionExport) {
+      elements.btnToggleSelectionExport.addEventListener('click', () => {
+        elements.selectionExport.hidden = !elements.selectionExport.hidden;
+        elements.btnToggleSelectionExport.classList.toggle('active', !elements.selectionExport.hidden);
+      });
+    }
+
+    if (elements.btnExportSelection) {
+      elements.btnExportSelection.addEventListener('click', handleExportSelection);
+    }
+
+    if (elements.btnExportXlsx) {
+      elements.btnExportXlsx.addEventListener('click', () => handleExport('xlsx'));
+    }
+
+    if (elements.btnExportReport) {
+      elements.btnExportReport.addEventListener('click', () => handleExport('html'));
+    }
+
+    if (elements.btnExportMarkdown) {
+      elements.btnExportMarkdown.addEventListener('click', () => handleExport('markdown'));
+    }
+
+    // CRM presets
+    if (elements.crmPreset) {
+      elements.crmPreset.addEventListener('change', renderCRMMapping);
+    }
+
+    if (elements.btnSaveCrmPreset) {
+      elements.btnSaveCrmPreset.addEventListener('click', () => handleSaveCRMPreset(false));
+    }
+
+    if (elements.btnSaveCrmPresetAs) {
+      elements.btnSaveCrmPresetAs.addEventListener('click', () => handleSaveCRMPreset(true));
+    }
+
+    if (elements.btnResetCrmPreset) {
+      elements.btnResetCrmPreset.addEventListener('click', handleResetCRMPreset);
+    }
+
+    if (elements.btnExportCrm) {
+      elements.btnExportCrm.addEventListener('click', handleExportCRM);
+    }
+
+    if (elements.btnExportSqlite) {
+      elements.btnExportSqlite.addEventListener('click', () => handleExport('sqlite'));
+    }
+
     if (elements.btnExportAllCsv) {
-      elements.btnExportAllCsv.addEventListener('click', () => handleExport('csv'));
+      elements.btnExportAllCsv.addEventListener('click', () =>
+        handleExport('csv', elements.exportDataset ? elements.exportDataset.value : undefined)
+      );
     }
 
     // Clear data
@@ -1392,6 +2344,95 @@
       elements.toggleStoreImages.addEventListener('change', handleSaveSettings);
     }
 
+    if (elements.toggleScheduledSync) {
+      elements.toggleScheduledSync.addEventListener('change', handleSaveSettings);
+    }
+
+    if (elements.syncInterval) {
+      elements.syncInterval.addEventListener('change', handleSaveSettings);
+    }
+
+    if (elements.syncDatasetToggles && elements.syncDatasetToggles.length > 0) {
+      elements.syncDatasetToggles.forEach(toggle => toggle.addEventListener('change', handleSaveSettings));
+    }
+
+    // Local webhook
+    [elements.toggleWebhook, elements.webhookUrl, elements.webhookSecret].forEach(input => {
+      if (input) input.addEventListener('change', handleSaveWebhookSettings);
+    });
+
+    if (elements.btnTestWebhook) {
+      elements.btnTestWebhook.addEventListener('click', () => handleWebhookAction('TEST_WEBHOOK'));
+    }
+
+    if (elements.btnRetryWebhooks) {
+      elements.btnRetryWebhooks.addEventListener('click', () => handleWebhookAction('RETRY_WEBHOOKS'));
+    }
+
+    if (elements.btnClearWebhookQueue) {
+      elements.btnClearWebhookQueue.addEventListener('click', () => handleWebhookAction('CLEAR_WEBHOOK_QUEUE'));
+    }
+
+    // Native host bridge
+    if (elements.toggleNativeHost) {
+      elements.toggleNativeHost.addEventListener('change', handleToggleNativeHost);
+    }
+
+    // Companion extensions
+    if (elements.btnAddExternalClient) {
+      elements.btnAddExternalClient.addEventListener('click', handleAddExternalClient);
+    }
+
+    if (elements.externalClients) {
+      elements.externalClients.addEventListener('change', handleExternalClientChange);
+      elements.externalClients.addEventListener('click', handleExternalClientClick);
+    }
+
+    // Developer mode
+    if (elements.toggleRecordCaptures) {
+      elements.toggleRecordCaptures.addEventListener('change', handleToggleRecordCaptures);
+    }
+
+    if (elements.btnExportFixtures) {
+      elements.btnExportFixtures.addEventListener('click', handleExportFixtures);
+    }
+
+    if (elements.btnClearRecordings) {
+      elements.btnClearRecordings.addEventListener('click', handleClearRecordings);
+    }
+
+    if (elements.btnOpenReplay) {
+      elements.btnOpenReplay.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('replay/replay.html') });
+      });
+    }
+
+    if (elements.toggleHarCapture) {
+      elements.toggleHarCapture.addEventListener('change', handleToggleHarCapture);
+    }
+
+    if (elements.btnExportHar) {
+      elements.btnExportHar.addEventListener('click', handleExportHar);
+    }
+
+    if (elements.btnClearHar) {
+      elements.btnClearHar.addEventListener('click', handleClearHar);
+    }
+
+    if (elements.btnSaveCategorizerRules) {
+      elements.btnSaveCategorizerRules.addEventListener('click', handleSaveCategorizerRules);
+    }
+
+    if (elements.btnLoadBuiltinRules) {
+      elements.btnLoadBuiltinRules.addEventListener('click', () => {
+        renderCategorizerRules(window.LinkedInCategorizerRegistry.DEFAULT_RULES);
+      });
+    }
+
+    if (elements.btnResetCategorizerRules) {
+      elements.btnResetCategorizerRules.addEventListener('click', handleResetCategorizerRules);
+    }
+
     // Search
     if (elements.searchConnections) {
       elements.searchConnections.addEventListener('input', handleSearch);
@@ -1404,6 +2445,11 @@
       });
     }
 
+    // Connection sync progress (sent by the service worker after every page)
+    chrome.runtime.onMessage.addListener(message => {
+      if (message.type === 'SYNC_PROGRESS') handleSyncProgress(message.job);
+    });
+
     // Filter chips
     if (elements.filterChips && elements.filterChips.length > 0) {
       elements.filterChips.forEach(chip => {
@@ -1436,6 +2482,12 @@
 
     await loadAllData();
 
+    // Re-attach to a connection sync still running in the background
+    const syncStatus = await sendMessage({ type: 'GET_SYNC_STATUS' });
+    if (syncStatus?.data?.status === 'running') {
+      handleSyncProgress(syncStatus.data);
+    }
+
     console.log('[Popup] Initialization complete');
   }
 
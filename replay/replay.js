@@ -0,0 +1,170 @@
+/**
+ * LinkedIn Data Extractor - Capture Replay
+ *
+ * Developer page that replays a recorded fixture bundle (Settings -> Developer)
+ * through the content script's real pipeline: each event is dispatched on
+ * `document` exactly as the main-world interceptor does, so it runs through
+ * handleCapturedApi -> processApiData -> process*ApiData.
+ *
+ * content-script.js is loaded after this file and sees window.__linkedInReplay:
+ * it skips page wiring and records every message it would send. In a dry run
+ * those messages never reach the service worker.
+ */
+
+window.__linkedInReplay = { dryRun: true, sent: [] };
+
+(function() {
+  'use strict';
+
+  const FIXTURE_FORMAT = 'linkedin-capture-fixtures';
+  const SETTLE_MS = 50;  // Lets the async save helpers reach sendToBackground
+
+  const replay = window.__linkedInReplay;
+  const $ = selector => document.querySelector(selector);
+
+  let bundle = null;
+  let results = [];
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Message type plus the size of its first array payload (posts, comments, ...)
+   */
+  function describeMessage(message) {
+    const items = Object.values(message).find(Array.isArray) ||
+      Object.values(message.data || {}).find(Array.isArray);
+    return items ? `${message.type} (${items.length})` : message.type;
+  }
+
+  function downloadJson(content, filename) {
+    const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ============================================
+  // REPLAY
+  // ============================================
+
+  async function loadBundle(file) {
+    bundle = null;
+    $('#btn-replay').disabled = true;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (parsed?.format !== FIXTURE_FORMAT || !Array.isArray(parsed.events)) {
+        throw new Error('Not a capture fixture bundle');
+      }
+      bundle = parsed;
+
+      const categories = {};
+      bundle.events.forEach(event => {
+        const category = event.detail?.category || 'unknown';
+        categories[category] = (categories[category] || 0) + 1;
+      });
+
+      $('#summary').textContent = `${bundle.events.length} events recorded with v${bundle.extensionVersion}: ` +
+        Object.entries(categories).map(([category, count]) => `${category} ${count}`).join(', ');
+      $('#btn-replay').disabled = false;
+    } catch (error) {
+      $('#summary').textContent = `Could not load bundle: ${error.message}`;
+    }
+  }
+
+  /**
+   * Dispatch every event in order, collecting the messages and errors each one produced
+   */
+  async function runReplay() {
+    replay.dryRun = $('#dry-run').checked;
+    results = [];
+
+    let errors = [];
+    const originalConsoleError = console.error;
+    const onError = event => errors.push(event.message);
+    console.error = (...args) => {
+      errors.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+      originalConsoleError(...args);
+    };
+    window.addEventListener('error', onError);
+
+    try {
+      for (const [index, event] of bundle.events.entries()) {
+        replay.sent = [];
+        errors = [];
+
+        document.dispatchEvent(new CustomEvent(event.eventType || 'linkedin-api-captured', { detail: event.detail }));
+        await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+
+        results.push({
+          index,
+          eventType: event.eventType,
+          category: event.detail?.category || null,
+          endpoint: event.detail?.endpoint || null,
+          messages: replay.sent,
+          errors
+        });
+      }
+    } finally {
+      console.error = originalConsoleError;
+      window.removeEventListener('error', onError);
+    }
+
+    renderResults();
+  }
+
+  function renderResults() {
+    const failed = results.filter(result => result.errors.length > 0).length;
+    $('#summary').textContent = `Replayed ${results.length} events${replay.dryRun ? ' (dry run)' : ''}, ${failed} with errors`;
+
+    $('#results tbody').innerHTML = results.map(result => `
+      <tr>
+        <td>${result.index + 1}</td>
+        <td>${escapeHtml(result.category)}</td>
+        <td class="endpoint">${escapeHtml(result.endpoint)}</td>
+        <td class="messages">${result.messages.map(message => escapeHtml(describeMessage(message))).join('<br>')}</td>
+        <td class="errors">${result.errors.map(escapeHtml).join('\n')}</td>
+      </tr>
+    `).join('');
+
+    $('#results').hidden = false;
+    $('#btn-download-results').disabled = false;
+  }
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  document.addEventListener('DOMContentLoaded', () => {
+    $('#fixture-file').addEventListener('change', e => {
+      if (e.target.files[0]) loadBundle(e.target.files[0]);
+    });
+
+    $('#btn-replay').addEventListener('click', runReplay);
+
+    // Expected parser output for each input event - diff these to catch regressions
+    $('#btn-download-results').addEventListener('click', () => {
+      downloadJson({
+        format: `${FIXTURE_FORMAT}-results`,
+        replayedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        dryRun: replay.dryRun,
+        results
+      }, `linkedin-replay-results-${Date.now()}.json`);
+    });
+  });
+
+})();